@@ -1,37 +1,457 @@
-Array.prototype.myMap = function (callback) {
-  const newArr = [];
-  for (let i = 0; i < this.length; i++) {
-    newArr.push(callback(this[i], i, this));
+function toLength(value) {
+  const length = Math.trunc(Number(value));
+  if (Number.isNaN(length) || length <= 0) {
+    return 0;
+  }
+  return Math.min(length, Number.MAX_SAFE_INTEGER);
+}
+
+function toIntegerOrInfinity(value) {
+  const number = Number(value);
+  return Number.isNaN(number) ? 0 : Math.trunc(number);
+}
+
+function assertCallable(callback) {
+  if (typeof callback !== "function") {
+    throw new TypeError(`${String(callback)} is not a function`);
+  }
+}
+
+Array.prototype.myForEach = function (callback, thisArg) {
+  const array = Object(this);
+  const length = toLength(array.length);
+  assertCallable(callback);
+  for (let i = 0; i < length; i++) {
+    if (i in array) {
+      callback.call(thisArg, array[i], i, array);
+    }
+  }
+};
+
+Array.prototype.myMap = function (callback, thisArg) {
+  const array = Object(this);
+  const length = toLength(array.length);
+  assertCallable(callback);
+  const newArr = new Array(length);
+  for (let i = 0; i < length; i++) {
+    if (i in array) {
+      newArr[i] = callback.call(thisArg, array[i], i, array);
+    }
   }
   return newArr;
 };
 
-Array.prototype.myFilter = function (callback) {
+Array.prototype.myFilter = function (callback, thisArg) {
+  const array = Object(this);
+  const length = toLength(array.length);
+  assertCallable(callback);
   const newArr = [];
-  for (let i = 0; i < this.length; i++) {
-    if (callback(this[i], i, this) === true) {
-      newArr.push(this[i]);
+  for (let i = 0; i < length; i++) {
+    if (i in array) {
+      const value = array[i];
+      if (callback.call(thisArg, value, i, array)) {
+        newArr.push(value);
+      }
     }
   }
   return newArr;
 };
 
 Array.prototype.myReduce = function (callback, initialValue) {
-  if (this.length === 0) {
-    return initialValue;
+  const array = Object(this);
+  const length = toLength(array.length);
+  assertCallable(callback);
+  let i = 0;
+  let accumulator = initialValue;
+  if (arguments.length < 2) {
+    while (i < length && !(i in array)) {
+      i++;
+    }
+    if (i >= length) {
+      throw new TypeError("Reduce of empty array with no initial value");
+    }
+    accumulator = array[i++];
+  }
+  for (; i < length; i++) {
+    if (i in array) {
+      accumulator = callback(accumulator, array[i], i, array);
+    }
   }
+  return accumulator;
+};
+
+Array.prototype.myReduceRight = function (callback, initialValue) {
+  const array = Object(this);
+  const length = toLength(array.length);
+  assertCallable(callback);
+  let i = length - 1;
   let accumulator = initialValue;
-  let startingIndex = 0;
-  if (accumulator == null) {
-    accumulator = this[0];
-    startingIndex = 1;
+  if (arguments.length < 2) {
+    while (i >= 0 && !(i in array)) {
+      i--;
+    }
+    if (i < 0) {
+      throw new TypeError("Reduce of empty array with no initial value");
+    }
+    accumulator = array[i--];
   }
-  for (let i = startingIndex; i < this.length; i++) {
-    accumulator = callback(accumulator, this[i], i, this);
+  for (; i >= 0; i--) {
+    if (i in array) {
+      accumulator = callback(accumulator, array[i], i, array);
+    }
   }
   return accumulator;
 };
 
+Array.prototype.myFind = function (callback, thisArg) {
+  const array = Object(this);
+  const length = toLength(array.length);
+  assertCallable(callback);
+  for (let i = 0; i < length; i++) {
+    const value = array[i];
+    if (callback.call(thisArg, value, i, array)) {
+      return value;
+    }
+  }
+  return undefined;
+};
+
+Array.prototype.myFindLast = function (callback, thisArg) {
+  const array = Object(this);
+  const length = toLength(array.length);
+  assertCallable(callback);
+  for (let i = length - 1; i >= 0; i--) {
+    const value = array[i];
+    if (callback.call(thisArg, value, i, array)) {
+      return value;
+    }
+  }
+  return undefined;
+};
+
+Array.prototype.mySome = function (callback, thisArg) {
+  const array = Object(this);
+  const length = toLength(array.length);
+  assertCallable(callback);
+  for (let i = 0; i < length; i++) {
+    if (i in array && callback.call(thisArg, array[i], i, array)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+Array.prototype.myEvery = function (callback, thisArg) {
+  const array = Object(this);
+  const length = toLength(array.length);
+  assertCallable(callback);
+  for (let i = 0; i < length; i++) {
+    if (i in array && !callback.call(thisArg, array[i], i, array)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+Array.prototype.myIncludes = function (searchElement, fromIndex) {
+  const array = Object(this);
+  const length = toLength(array.length);
+  let i = toIntegerOrInfinity(fromIndex);
+  if (i < 0) {
+    i = Math.max(length + i, 0);
+  }
+  for (; i < length; i++) {
+    const value = array[i];
+    if (
+      value === searchElement ||
+      (Number.isNaN(value) && Number.isNaN(searchElement))
+    ) {
+      return true;
+    }
+  }
+  return false;
+};
+
+function flattenInto(target, source, depth) {
+  const length = toLength(source.length);
+  for (let i = 0; i < length; i++) {
+    if (!(i in source)) {
+      continue;
+    }
+    const value = source[i];
+    if (depth > 0 && Array.isArray(value)) {
+      flattenInto(target, value, depth - 1);
+    } else {
+      target.push(value);
+    }
+  }
+  return target;
+}
+
+Array.prototype.myFlat = function (depth) {
+  const array = Object(this);
+  return flattenInto(
+    [],
+    array,
+    depth === undefined ? 1 : toIntegerOrInfinity(depth)
+  );
+};
+
+Array.prototype.myFlatMap = function (callback, thisArg) {
+  const array = Object(this);
+  const length = toLength(array.length);
+  assertCallable(callback);
+  const newArr = [];
+  for (let i = 0; i < length; i++) {
+    if (!(i in array)) {
+      continue;
+    }
+    const value = callback.call(thisArg, array[i], i, array);
+    if (Array.isArray(value)) {
+      flattenInto(newArr, value, 0);
+    } else {
+      newArr.push(value);
+    }
+  }
+  return newArr;
+};
+
 console.log([1, 2, 3].myMap((item) => item * 2));
 console.log([1, 2, 3].myFilter((item) => item > 2));
 console.log([1, 2, 3].myReduce((acc, item) => acc + item, 0));
+
+console.log([1, , 3].myMap((item) => item * 2)); // [2, <1 empty item>, 6]
+console.log([0, 1, "", "a", null].myFilter((item) => item)); // [1, "a"]
+console.log([1, 2].myReduce((acc, item) => `${acc}${item}`, undefined)); // "undefined12"
+console.log(
+  [1, 2, 3].myMap(
+    function (item) {
+      return item * this.factor;
+    },
+    { factor: 10 }
+  )
+); // [10, 20, 30]
+console.log([1, [2, [3, [4]]]].myFlat(Infinity)); // [1, 2, 3, 4]
+console.log([NaN].myIncludes(NaN)); // true
+try {
+  [].myReduce((acc, item) => acc + item);
+} catch (error) {
+  console.log(error.message); // "Reduce of empty array with no initial value"
+}
+
+function describe(value, array) {
+  if (value === array) return "<array>";
+  if (Object.is(value, -0)) return "-0";
+  if (typeof value === "string") return JSON.stringify(value);
+  if (Array.isArray(value)) {
+    const items = [];
+    for (let i = 0; i < value.length; i++) {
+      items.push(i in value ? describe(value[i], array) : "<hole>");
+    }
+    return `[${items.join(", ")}]`;
+  }
+  if (typeof value === "object" && value !== null) {
+    const entries = Object.entries(value).myMap(
+      ([key, entryValue]) => `${key}: ${describe(entryValue, array)}`
+    );
+    return `{${entries.join(", ")}}`;
+  }
+  return String(value);
+}
+
+function runMethod(method, { array, args }) {
+  const calls = [];
+  const recordedArgs = args.myMap((arg) =>
+    typeof arg === "function"
+      ? function (...callArgs) {
+          calls.push(
+            `${describe(this, array)}(${callArgs
+              .myMap((callArg) => describe(callArg, array))
+              .join(", ")})`
+          );
+          return arg.apply(this, callArgs);
+        }
+      : arg
+  );
+  try {
+    const result = method.apply(array, recordedArgs);
+    return { result: describe(result, array), calls };
+  } catch (error) {
+    return { error: error.constructor.name, calls };
+  }
+}
+
+function compareWithNative(cases) {
+  const mismatches = cases.myFilter((testCase) => {
+    const native = runMethod(Array.prototype[testCase.method], testCase);
+    const custom = runMethod(
+      Array.prototype[
+        `my${testCase.method[0].toUpperCase()}${testCase.method.slice(1)}`
+      ],
+      testCase
+    );
+    return JSON.stringify(native) !== JSON.stringify(custom);
+  });
+  mismatches.myForEach((testCase) => console.log("mismatch:", testCase.name));
+  console.log(
+    `${cases.length - mismatches.length}/${cases.length} cases match native`
+  );
+}
+
+const sparse = [1, , 3, , 5];
+const thisArg = { factor: 10 };
+const arrayLike = { length: 3, 0: "a", 2: "c" };
+function multiply(item) {
+  return item * this.factor;
+}
+
+compareWithNative([
+  {
+    name: "forEach skips holes",
+    method: "forEach",
+    array: sparse,
+    args: [multiply, thisArg],
+  },
+  {
+    name: "map keeps holes",
+    method: "map",
+    array: sparse,
+    args: [multiply, thisArg],
+  },
+  {
+    name: "map on array-like",
+    method: "map",
+    array: arrayLike,
+    args: [(item) => item],
+  },
+  {
+    name: "filter keeps truthy",
+    method: "filter",
+    array: [0, 1, "", "a", null, {}],
+    args: [(item) => item],
+  },
+  {
+    name: "filter skips holes",
+    method: "filter",
+    array: sparse,
+    args: [() => true],
+  },
+  {
+    name: "reduce without initial",
+    method: "reduce",
+    array: sparse,
+    args: [(acc, item) => acc + item],
+  },
+  {
+    name: "reduce with undefined initial",
+    method: "reduce",
+    array: [1, 2],
+    args: [(acc, item) => `${acc}${item}`, undefined],
+  },
+  {
+    name: "reduce with null initial",
+    method: "reduce",
+    array: [],
+    args: [(acc, item) => acc + item, null],
+  },
+  {
+    name: "reduce empty throws",
+    method: "reduce",
+    array: [],
+    args: [(acc, item) => acc + item],
+  },
+  {
+    name: "reduce only holes throws",
+    method: "reduce",
+    array: [, ,],
+    args: [(acc, item) => acc + item],
+  },
+  {
+    name: "reduceRight without initial",
+    method: "reduceRight",
+    array: sparse,
+    args: [(acc, item) => acc + item],
+  },
+  {
+    name: "reduceRight empty throws",
+    method: "reduceRight",
+    array: [],
+    args: [(acc, item) => acc + item],
+  },
+  {
+    name: "find visits holes",
+    method: "find",
+    array: sparse,
+    args: [(item) => item === undefined],
+  },
+  {
+    name: "findLast visits holes",
+    method: "findLast",
+    array: sparse,
+    args: [(item) => item > 1],
+  },
+  {
+    name: "some with thisArg",
+    method: "some",
+    array: sparse,
+    args: [
+      function (item) {
+        return item === this.factor;
+      },
+      thisArg,
+    ],
+  },
+  {
+    name: "every skips holes",
+    method: "every",
+    array: sparse,
+    args: [(item) => item !== undefined],
+  },
+  { name: "every on empty", method: "every", array: [], args: [() => false] },
+  { name: "includes NaN", method: "includes", array: [1, NaN], args: [NaN] },
+  {
+    name: "includes treats holes as undefined",
+    method: "includes",
+    array: sparse,
+    args: [undefined],
+  },
+  {
+    name: "includes negative fromIndex",
+    method: "includes",
+    array: [1, 2, 3],
+    args: [1, -2],
+  },
+  { name: "includes -0", method: "includes", array: [0], args: [-0] },
+  {
+    name: "flat defaults to one level",
+    method: "flat",
+    array: [1, [2, [3, [4]]]],
+    args: [],
+  },
+  {
+    name: "flat Infinity",
+    method: "flat",
+    array: [1, [2, [3, [4]]]],
+    args: [Infinity],
+  },
+  { name: "flat zero", method: "flat", array: [1, [2]], args: [0] },
+  {
+    name: "flat removes holes",
+    method: "flat",
+    array: [1, , [2, , 3]],
+    args: [],
+  },
+  {
+    name: "flatMap one level",
+    method: "flatMap",
+    array: [1, 2],
+    args: [(item) => [item, [item]]],
+  },
+  {
+    name: "flatMap with thisArg",
+    method: "flatMap",
+    array: sparse,
+    args: [multiply, thisArg],
+  },
+  { name: "non-callable throws", method: "map", array: [1], args: [null] },
+]);
@@ -1,18 +1,740 @@
-function createDom(root) {
-  const element = document.createElement(root.type);
+const FRAGMENT = "#fragment";
+const COMMENT = "#comment";
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+const XLINK_NAMESPACE = "http://www.w3.org/1999/xlink";
 
-  root.children?.forEach((child) => {
-    element.append(typeof child === "string" ? child : createDom(child));
+function isEmptyNode(node) {
+  return node == null || typeof node === "boolean";
+}
+
+function isTextNode(node) {
+  return typeof node === "string" || typeof node === "number";
+}
+
+function isSetValue(value) {
+  return value != null && value !== false;
+}
+
+function isListener(name, value) {
+  return name.startsWith("on") && typeof value === "function";
+}
+
+function getEventName(name) {
+  return name.slice(2).toLowerCase();
+}
+
+function getClassName(value) {
+  return Array.isArray(value) ? value.filter(Boolean).join(" ") : value;
+}
+
+function setStyle(element, style) {
+  for (const [property, value] of Object.entries(style)) {
+    if (property.includes("-")) {
+      element.style.setProperty(property, value ?? "");
+    } else {
+      element.style[property] = value ?? "";
+    }
+  }
+}
+
+function setAttribute(element, name, value) {
+  if (isListener(name, value)) {
+    element.addEventListener(getEventName(name), value);
+  } else if (name === "style" && typeof value === "object" && value != null) {
+    setStyle(element, value);
+  } else if (!isSetValue(value)) {
+    return;
+  } else if (name === "class" || name === "className") {
+    element.setAttribute("class", getClassName(value));
+  } else if (name.startsWith("xlink:")) {
+    element.setAttributeNS(
+      XLINK_NAMESPACE,
+      name,
+      value === true ? "" : String(value)
+    );
+  } else {
+    element.setAttribute(name, value === true ? "" : String(value));
+  }
+}
+
+function assertUniqueKeys(children) {
+  const keys = new Set();
+  for (const child of children) {
+    const key = child?.key;
+    if (key == null) {
+      continue;
+    }
+    if (keys.has(key)) {
+      throw new Error(`Duplicate key "${key}" among sibling nodes`);
+    }
+    keys.add(key);
+  }
+}
+
+function appendChildren(parent, children, namespace) {
+  assertUniqueKeys(children);
+  children.forEach((child) => {
+    if (!isEmptyNode(child)) {
+      parent.append(createDom(child, namespace));
+    }
   });
+}
+
+function createDom(root, namespace = null) {
+  if (isEmptyNode(root)) {
+    return null;
+  }
+  if (isTextNode(root)) {
+    return document.createTextNode(String(root));
+  }
+  if (root.type === FRAGMENT) {
+    const fragment = document.createDocumentFragment();
+    appendChildren(fragment, root.children ?? [], namespace);
+    return fragment;
+  }
+  if (root.type === COMMENT) {
+    return document.createComment(root.data ?? "");
+  }
+
+  const elementNamespace = root.type === "svg" ? SVG_NAMESPACE : namespace;
+  const element =
+    elementNamespace == null
+      ? document.createElement(root.type)
+      : document.createElementNS(elementNamespace, root.type);
+
+  appendChildren(
+    element,
+    root.children ?? [],
+    root.type === "foreignObject" ? null : elementNamespace
+  );
 
   if (root.attributes != null) {
     for (const [key, value] of Object.entries(root.attributes)) {
-      element.setAttribute(key, value);
+      setAttribute(element, key, value);
     }
   }
+  if (root.props != null) {
+    Object.assign(element, root.props);
+  }
   return element;
 }
 
+function removeAttribute(element, name, value) {
+  if (isListener(name, value)) {
+    element.removeEventListener(getEventName(name), value);
+  } else if (name === "class" || name === "className") {
+    element.removeAttribute("class");
+  } else if (name.startsWith("xlink:")) {
+    element.removeAttributeNS(XLINK_NAMESPACE, name.slice("xlink:".length));
+  } else {
+    element.removeAttribute(name);
+  }
+}
+
+function isStyleObject(name, value) {
+  return name === "style" && typeof value === "object" && value != null;
+}
+
+function patchStyle(element, oldStyle, newStyle, operations) {
+  const properties = new Set([
+    ...Object.keys(oldStyle),
+    ...Object.keys(newStyle),
+  ]);
+  for (const property of properties) {
+    const value = newStyle[property] ?? "";
+    if ((oldStyle[property] ?? "") === value) {
+      continue;
+    }
+    setStyle(element, { [property]: value });
+    operations.push({ type: "setStyle", node: element, name: property, value });
+  }
+}
+
+function isSameAttributeValue(name, oldValue, newValue) {
+  if (name === "class" || name === "className") {
+    return getClassName(oldValue) === getClassName(newValue);
+  }
+  return oldValue === newValue;
+}
+
+function patchAttributes(element, oldAttributes, newAttributes, operations) {
+  const names = new Set([
+    ...Object.keys(oldAttributes),
+    ...Object.keys(newAttributes),
+  ]);
+  for (const name of names) {
+    const oldValue = oldAttributes[name];
+    const newValue = newAttributes[name];
+    if (isStyleObject(name, oldValue) && isStyleObject(name, newValue)) {
+      patchStyle(element, oldValue, newValue, operations);
+      continue;
+    }
+    if (isSameAttributeValue(name, oldValue, newValue)) {
+      continue;
+    }
+
+    if (isListener(name, oldValue)) {
+      removeAttribute(element, name, oldValue);
+      operations.push({
+        type: "removeListener",
+        node: element,
+        name: getEventName(name),
+        listener: oldValue,
+      });
+    } else if (
+      isSetValue(oldValue) &&
+      (!isSetValue(newValue) ||
+        isListener(name, newValue) ||
+        isStyleObject(name, oldValue) ||
+        isStyleObject(name, newValue))
+    ) {
+      removeAttribute(element, name, oldValue);
+      operations.push({ type: "removeAttribute", node: element, name });
+    }
+
+    if (isListener(name, newValue)) {
+      setAttribute(element, name, newValue);
+      operations.push({
+        type: "addListener",
+        node: element,
+        name: getEventName(name),
+        listener: newValue,
+      });
+    } else if (isStyleObject(name, newValue)) {
+      patchStyle(element, {}, newValue, operations);
+    } else if (isSetValue(newValue)) {
+      setAttribute(element, name, newValue);
+      operations.push({
+        type: "setAttribute",
+        node: element,
+        name,
+        value: newValue,
+      });
+    }
+  }
+}
+
+function patchProps(element, oldProps, newProps, operations) {
+  for (const name of Object.keys(oldProps)) {
+    if (!(name in newProps)) {
+      element[name] = null;
+      operations.push({ type: "setProp", node: element, name, value: null });
+    }
+  }
+  for (const [name, value] of Object.entries(newProps)) {
+    if (element[name] !== value) {
+      element[name] = value;
+      operations.push({ type: "setProp", node: element, name, value });
+    }
+  }
+}
+
+function normalizeChildren(children = []) {
+  return children.flatMap((child) => {
+    if (isEmptyNode(child)) {
+      return [];
+    }
+    return child.type === FRAGMENT
+      ? normalizeChildren(child.children)
+      : [child];
+  });
+}
+
+function getChildNamespace(element) {
+  if (
+    element?.namespaceURI !== SVG_NAMESPACE ||
+    element.localName === "foreignObject"
+  ) {
+    return null;
+  }
+  return SVG_NAMESPACE;
+}
+
+function isSameNode(oldNode, newNode) {
+  if (isTextNode(oldNode) || isTextNode(newNode)) {
+    return isTextNode(oldNode) && isTextNode(newNode);
+  }
+  return oldNode.type === newNode.type && oldNode.key === newNode.key;
+}
+
+function getStableIndexes(sources) {
+  const predecessors = new Array(sources.length);
+  const tails = [];
+  sources.forEach((source, i) => {
+    if (source === -1) {
+      return;
+    }
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (sources[tails[middle]] < source) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    predecessors[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  });
+
+  const stableIndexes = new Set();
+  for (let i = tails.at(-1) ?? -1; i !== -1; i = predecessors[i]) {
+    stableIndexes.add(i);
+  }
+  return stableIndexes;
+}
+
+function matchChildren(oldChildren, newChildren) {
+  const keyedIndexes = new Map();
+  const unkeyedIndexes = [];
+  oldChildren.forEach((child, i) => {
+    if (child.key != null) {
+      keyedIndexes.set(child.key, i);
+    } else {
+      unkeyedIndexes.push(i);
+    }
+  });
+
+  return newChildren.map((child) => {
+    if (child.key != null) {
+      const index = keyedIndexes.get(child.key) ?? -1;
+      keyedIndexes.delete(child.key);
+      return index;
+    }
+    return unkeyedIndexes.shift() ?? -1;
+  });
+}
+
+function patchChildren(element, oldVNodes, newVNodes, operations) {
+  const oldChildren = normalizeChildren(oldVNodes);
+  const newChildren = normalizeChildren(newVNodes);
+  assertUniqueKeys(newChildren);
+  const namespace = getChildNamespace(element);
+  const oldDomNodes = [...element.childNodes];
+  const sources = matchChildren(oldChildren, newChildren);
+
+  const usedSources = new Set(sources);
+  oldDomNodes.forEach((domNode, i) => {
+    if (!usedSources.has(i)) {
+      element.removeChild(domNode);
+      operations.push({ type: "remove", node: domNode, parent: element });
+    }
+  });
+
+  const newDomNodes = newChildren.map((child, i) =>
+    sources[i] === -1
+      ? null
+      : patchNode(
+          oldDomNodes[sources[i]],
+          oldChildren[sources[i]],
+          child,
+          operations,
+          namespace
+        )
+  );
+
+  const stableIndexes = getStableIndexes(sources);
+  let nextDomNode = null;
+  for (let i = newChildren.length - 1; i >= 0; i--) {
+    if (newDomNodes[i] == null) {
+      newDomNodes[i] = createDom(newChildren[i], namespace);
+      element.insertBefore(newDomNodes[i], nextDomNode);
+      operations.push({
+        type: "insert",
+        node: newDomNodes[i],
+        parent: element,
+      });
+    } else if (!stableIndexes.has(i)) {
+      element.insertBefore(newDomNodes[i], nextDomNode);
+      operations.push({ type: "move", node: newDomNodes[i], parent: element });
+    }
+    nextDomNode = newDomNodes[i];
+  }
+}
+
+function patchNode(domNode, oldVNode, newVNode, operations, namespace) {
+  if (!isSameNode(oldVNode, newVNode)) {
+    const newDomNode = createDom(newVNode, namespace);
+    domNode.replaceWith(newDomNode);
+    operations.push({ type: "replace", node: newDomNode, oldNode: domNode });
+    return newDomNode;
+  }
+
+  if (isTextNode(newVNode)) {
+    if (String(oldVNode) !== String(newVNode)) {
+      domNode.data = String(newVNode);
+      operations.push({ type: "setText", node: domNode, value: domNode.data });
+    }
+    return domNode;
+  }
+
+  if (newVNode.type === COMMENT) {
+    if ((oldVNode.data ?? "") !== (newVNode.data ?? "")) {
+      domNode.data = newVNode.data ?? "";
+      operations.push({ type: "setText", node: domNode, value: domNode.data });
+    }
+    return domNode;
+  }
+
+  patchAttributes(
+    domNode,
+    oldVNode.attributes ?? {},
+    newVNode.attributes ?? {},
+    operations
+  );
+  patchChildren(domNode, oldVNode.children, newVNode.children, operations);
+  patchProps(domNode, oldVNode.props ?? {}, newVNode.props ?? {}, operations);
+  return domNode;
+}
+
+function patch(domNode, oldVNode, newVNode) {
+  for (const vNode of [oldVNode, newVNode]) {
+    if (isEmptyNode(vNode) || vNode.type === FRAGMENT) {
+      throw new TypeError(
+        "patch can only update element and text nodes, patch their parent instead"
+      );
+    }
+  }
+  const operations = [];
+  patchNode(
+    domNode,
+    oldVNode,
+    newVNode,
+    operations,
+    getChildNamespace(domNode.parentNode)
+  );
+  return operations;
+}
+
+const VOID_ELEMENTS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+]);
+const RAW_TEXT_ELEMENTS = new Set(["script", "style"]);
+const WHITESPACE_SENSITIVE_ELEMENTS = new Set([
+  "pre",
+  "textarea",
+  "script",
+  "style",
+]);
+const REFLECTED_PROPS = ["value", "checked", "selected"];
+const TAG_NAME_PATTERN = /^[a-zA-Z][\w:.-]*$/;
+const ATTRIBUTE_NAME_PATTERN = /^[a-zA-Z_:][\w:.-]*$/;
+const INVALID_COMMENT_PATTERN = /^-?>|<!--|--!?>|-$/;
+
+function getTextValue(text, whitespace, isWhitespaceSensitive) {
+  if (whitespace !== "collapse" || isWhitespaceSensitive) {
+    return text;
+  }
+  return text.trim() === "" ? null : text.replace(/\s+/g, " ");
+}
+
+function domToVNode(
+  node,
+  { whitespace = "preserve", comments = true } = {},
+  isWhitespaceSensitive = false
+) {
+  const options = { whitespace, comments };
+  if (node.nodeType === Node.TEXT_NODE) {
+    return getTextValue(node.data, whitespace, isWhitespaceSensitive);
+  }
+  if (node.nodeType === Node.COMMENT_NODE) {
+    return comments ? { type: COMMENT, data: node.data } : null;
+  }
+
+  const isElement = node.nodeType === Node.ELEMENT_NODE;
+  if (!isElement && node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) {
+    return null;
+  }
+  const isChildWhitespaceSensitive =
+    isWhitespaceSensitive ||
+    (isElement && WHITESPACE_SENSITIVE_ELEMENTS.has(node.localName));
+  const children = [...node.childNodes]
+    .map((child) => domToVNode(child, options, isChildWhitespaceSensitive))
+    .filter((child) => child != null);
+  if (!isElement) {
+    return { type: FRAGMENT, children };
+  }
+
+  const vNode = { type: node.localName };
+  if (node.attributes.length > 0) {
+    vNode.attributes = {};
+    for (const { name, value } of node.attributes) {
+      vNode.attributes[name] = value;
+    }
+  }
+  if (children.length > 0) {
+    vNode.children = children;
+  }
+  return vNode;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function getCssPropertyName(property) {
+  if (property.includes("-")) {
+    return property;
+  }
+  return property.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+function renderStyle(style) {
+  return Object.entries(style)
+    .filter(([, value]) => value != null && value !== "")
+    .map(([property, value]) => `${getCssPropertyName(property)}: ${value};`)
+    .join(" ");
+}
+
+function assertSafeName(name, pattern, kind) {
+  if (!pattern.test(name)) {
+    throw new TypeError(`Cannot render invalid ${kind} name "${name}"`);
+  }
+}
+
+function getRenderedAttributes(vNode) {
+  const attributes = { ...vNode.attributes };
+  if (vNode.type !== "textarea") {
+    for (const name of REFLECTED_PROPS) {
+      if (vNode.props != null && name in vNode.props) {
+        attributes[name] = vNode.props[name];
+      }
+    }
+  }
+
+  const renderedAttributes = {};
+  for (const [name, value] of Object.entries(attributes)) {
+    if (isListener(name, value) || !isSetValue(value)) {
+      continue;
+    }
+    if (isStyleObject(name, value)) {
+      const style = renderStyle(value);
+      if (style !== "") {
+        renderedAttributes.style = style;
+      }
+      continue;
+    }
+    const attributeName = name === "className" ? "class" : name;
+    assertSafeName(attributeName, ATTRIBUTE_NAME_PATTERN, "attribute");
+    renderedAttributes[attributeName] =
+      name === "class" || name === "className"
+        ? getClassName(value)
+        : value === true
+        ? ""
+        : String(value);
+  }
+  return renderedAttributes;
+}
+
+function renderAttributes(vNode) {
+  return Object.entries(getRenderedAttributes(vNode))
+    .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+    .join("");
+}
+
+function renderToString(vNode, parentType = null) {
+  if (isEmptyNode(vNode)) {
+    return "";
+  }
+  if (isTextNode(vNode)) {
+    return RAW_TEXT_ELEMENTS.has(parentType)
+      ? String(vNode)
+      : escapeHtml(vNode);
+  }
+  if (vNode.type === COMMENT) {
+    const data = vNode.data ?? "";
+    if (INVALID_COMMENT_PATTERN.test(data)) {
+      throw new TypeError(
+        `Cannot render comment "${data}", it would end the comment early`
+      );
+    }
+    return `<!--${data}-->`;
+  }
+  if (vNode.type === FRAGMENT) {
+    return (vNode.children ?? [])
+      .map((child) => renderToString(child, parentType))
+      .join("");
+  }
+
+  assertSafeName(vNode.type, TAG_NAME_PATTERN, "tag");
+  const openingTag = `<${vNode.type}${renderAttributes(vNode)}>`;
+  if (VOID_ELEMENTS.has(vNode.type)) {
+    return openingTag;
+  }
+  const children =
+    vNode.type === "textarea" && vNode.props?.value != null
+      ? escapeHtml(vNode.props.value)
+      : (vNode.children ?? [])
+          .map((child) => renderToString(child, vNode.type))
+          .join("");
+  if (
+    RAW_TEXT_ELEMENTS.has(vNode.type) &&
+    children.toLowerCase().includes(`</${vNode.type}`)
+  ) {
+    throw new TypeError(
+      `Cannot render "</${vNode.type}" inside a ${vNode.type} element`
+    );
+  }
+  return `${openingTag}${children}</${vNode.type}>`;
+}
+
+function isHydratable(domNode, vNode) {
+  if (isTextNode(vNode)) {
+    return domNode.nodeType === Node.TEXT_NODE;
+  }
+  if (vNode.type === COMMENT) {
+    return domNode.nodeType === Node.COMMENT_NODE;
+  }
+  return (
+    domNode.nodeType === Node.ELEMENT_NODE && domNode.localName === vNode.type
+  );
+}
+
+function isInsideWhitespaceSensitiveElement(element) {
+  for (let node = element; node != null; node = node.parentNode) {
+    if (WHITESPACE_SENSITIVE_ELEMENTS.has(node.localName)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function isWhitespaceText(domNode) {
+  return domNode?.nodeType === Node.TEXT_NODE && domNode.data.trim() === "";
+}
+
+function removeWhitespaceText(element, domNode, operations) {
+  while (isWhitespaceText(domNode)) {
+    const nextDomNode = domNode.nextSibling;
+    element.removeChild(domNode);
+    operations.push({ type: "remove", node: domNode, parent: element });
+    domNode = nextDomNode;
+  }
+  return domNode;
+}
+
+function hydrateChildren(element, vNodes, operations) {
+  const children = normalizeChildren(vNodes);
+  const namespace = getChildNamespace(element);
+  const isWhitespaceSensitive = isInsideWhitespaceSensitiveElement(element);
+  let domNode = element.firstChild;
+  for (const child of children) {
+    if (
+      !isWhitespaceSensitive &&
+      !(isTextNode(child) && String(child).trim() === "")
+    ) {
+      domNode = removeWhitespaceText(element, domNode, operations);
+    }
+    if (
+      domNode == null ||
+      (isTextNode(child) && domNode.nodeType !== Node.TEXT_NODE)
+    ) {
+      const newDomNode = createDom(child, namespace);
+      element.insertBefore(newDomNode, domNode);
+      operations.push({ type: "insert", node: newDomNode, parent: element });
+      continue;
+    }
+    domNode = hydrateNode(domNode, child, operations, namespace).nextSibling;
+  }
+
+  while (domNode != null) {
+    const nextDomNode = domNode.nextSibling;
+    element.removeChild(domNode);
+    operations.push({ type: "remove", node: domNode, parent: element });
+    domNode = nextDomNode;
+  }
+}
+
+function hydrateAttributes(element, vNode, operations) {
+  const attributes = getRenderedAttributes(vNode);
+  for (const { name } of [...element.attributes]) {
+    if (!Object.hasOwn(attributes, name)) {
+      removeAttribute(element, name);
+      operations.push({ type: "removeAttribute", node: element, name });
+    }
+  }
+  for (const [name, value] of Object.entries(attributes)) {
+    if (element.getAttribute(name) !== value) {
+      setAttribute(element, name, value);
+      operations.push({ type: "setAttribute", node: element, name, value });
+    }
+  }
+}
+
+function hydrateNode(domNode, vNode, operations, namespace) {
+  if (!isHydratable(domNode, vNode)) {
+    const newDomNode = createDom(vNode, namespace);
+    domNode.replaceWith(newDomNode);
+    operations.push({ type: "replace", node: newDomNode, oldNode: domNode });
+    return newDomNode;
+  }
+
+  if (isTextNode(vNode)) {
+    const text = String(vNode);
+    if (domNode.data.length > text.length && domNode.data.startsWith(text)) {
+      domNode.splitText(text.length);
+      operations.push({ type: "splitText", node: domNode, value: text });
+    } else if (domNode.data !== text) {
+      domNode.data = text;
+      operations.push({ type: "setText", node: domNode, value: text });
+    }
+    return domNode;
+  }
+  if (vNode.type === COMMENT) {
+    return domNode;
+  }
+
+  hydrateAttributes(domNode, vNode, operations);
+  for (const [name, value] of Object.entries(vNode.attributes ?? {})) {
+    if (isListener(name, value)) {
+      setAttribute(domNode, name, value);
+      operations.push({
+        type: "addListener",
+        node: domNode,
+        name: getEventName(name),
+        listener: value,
+      });
+    }
+  }
+  hydrateChildren(domNode, vNode.children, operations);
+  patchProps(domNode, {}, vNode.props ?? {}, operations);
+  return domNode;
+}
+
+function hydrate(domNode, vNode) {
+  if (isEmptyNode(vNode) || vNode.type === FRAGMENT) {
+    throw new TypeError(
+      "hydrate can only attach element and text nodes, hydrate their parent instead"
+    );
+  }
+  const operations = [];
+  hydrateNode(
+    domNode,
+    vNode,
+    operations,
+    getChildNamespace(domNode.parentNode)
+  );
+  return operations;
+}
+
 console.log(
   createDom({
     type: "input",
@@ -30,3 +752,112 @@ console.log(
     children: ["Hello", { type: "strong", children: ["World"] }],
   })
 );
+
+const todos = [
+  { id: 1, name: "Write docs", done: true },
+  { id: 2, name: "Ship it", done: false },
+];
+const todoList = createDom({
+  type: "ul",
+  attributes: { style: { listStyle: "none", "--gap": "8px" } },
+  children: todos.map((todo) => ({
+    type: "li",
+    key: todo.id,
+    attributes: { className: ["todo", todo.done && "done"] },
+    children: [
+      {
+        type: "input",
+        attributes: {
+          type: "checkbox",
+          onChange: (event) => console.log(todo.name, event.target.checked),
+        },
+        props: { checked: todo.done },
+      },
+      todo.name,
+      todo.done ? null : { type: "button", children: ["X"] },
+    ],
+  })),
+});
+console.log(todoList); // <ul style="list-style: none; --gap: 8px;"><li class="todo done"><input type="checkbox">Write docs</li><li class="todo"><input type="checkbox">Ship it<button>X</button></li></ul>
+
+console.log(
+  createDom({
+    type: "#fragment",
+    children: [
+      { type: "span", children: ["Count: ", 3] },
+      {
+        type: "svg",
+        attributes: { width: 10, height: 10 },
+        children: [{ type: "circle", attributes: { r: 5, cx: 5, cy: 5 } }],
+      },
+    ],
+  })
+); // DocumentFragment [<span>Count: 3</span>, <svg width="10" height="10"><circle r="5" cx="5" cy="5"></circle></svg>]
+
+const renderTodoList = (items) => ({
+  type: "ul",
+  children: items.map((todo) => ({
+    type: "li",
+    key: todo.id,
+    attributes: { className: ["todo", todo.done && "done"] },
+    children: [todo.name],
+  })),
+});
+const oldTodoList = renderTodoList(todos);
+const newTodoList = renderTodoList([
+  { id: 3, name: "Celebrate", done: false },
+  { id: 2, name: "Ship it", done: true },
+  { id: 1, name: "Write docs", done: true },
+]);
+const todoListNode = createDom(oldTodoList);
+const operations = patch(todoListNode, oldTodoList, newTodoList);
+console.log(operations.map((operation) => operation.type)); // ["setAttribute", "move", "insert"]
+console.log(todoListNode); // <ul><li class="todo">Celebrate</li><li class="todo done">Ship it</li><li class="todo done">Write docs</li></ul>
+
+const html = renderToString(newTodoList);
+console.log(html); // <ul><li class="todo">Celebrate</li><li class="todo done">Ship it</li><li class="todo done">Write docs</li></ul>
+console.log(renderToString({ type: "p", children: ["<script>", 1, " & 2"] })); // <p>&lt;script&gt;1 &amp; 2</p>
+const commentContainer = document.createElement("div");
+commentContainer.innerHTML = renderToString({
+  type: "div",
+  children: [{ type: COMMENT, data: "a -> b, <!- c" }],
+});
+console.log(commentContainer.firstChild.firstChild.data); // a -> b, <!- c
+for (const data of ["--!><img src=x onerror=alert(1)>", "><img src=x>"]) {
+  try {
+    renderToString({ type: COMMENT, data });
+  } catch (error) {
+    console.log(error.message); // Cannot render comment "...", it would end the comment early
+  }
+}
+try {
+  renderToString({ type: "script", children: ["</script><img src=x>"] });
+} catch (error) {
+  console.log(error.message); // Cannot render "</script" inside a script element
+}
+
+const container = document.createElement("div");
+container.innerHTML = html;
+console.log(domToVNode(container.firstChild)); // { type: "ul", children: [{ type: "li", attributes: { class: "todo" }, children: ["Celebrate"] }, ...] }
+console.log(createDom(domToVNode(todoListNode)).isEqualNode(todoListNode)); // true
+
+const interactiveTodoList = {
+  ...newTodoList,
+  attributes: { onClick: (event) => console.log("clicked", event.target) },
+};
+console.log(
+  hydrate(container.firstChild, interactiveTodoList).map(
+    (operation) => operation.type
+  )
+); // ["addListener"]
+
+container.innerHTML = '<ul class="stale">\n  <li>A</li>\n  <li>B</li>\n</ul>';
+console.log(
+  hydrate(container.firstChild, {
+    type: "ul",
+    children: [
+      { type: "li", children: ["A"] },
+      { type: "li", children: ["B"] },
+    ],
+  }).map((operation) => operation.type)
+); // ["removeAttribute", "remove", "remove", "remove"]
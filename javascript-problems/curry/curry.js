@@ -1,18 +1,100 @@
-function curry(callback) {
+const PLACEHOLDER = Symbol("curry.placeholder");
+
+function mergeArgs(args, newArgs) {
+  const merged = [...args];
+  let newArgIndex = 0;
+  for (let i = 0; i < merged.length && newArgIndex < newArgs.length; i++) {
+    if (merged[i] === PLACEHOLDER) {
+      merged[i] = newArgs[newArgIndex++];
+    }
+  }
+  return merged.concat(newArgs.slice(newArgIndex));
+}
+
+function fillPlaceholders(args) {
+  return args.map((arg) => (arg === PLACEHOLDER ? undefined : arg));
+}
+
+function curry(callback, arity) {
+  if (arity != null) {
+    return function (...args) {
+      return curryFixed(callback, arity, [], this)(...args);
+    };
+  }
+
   function curriedFunc(...args) {
+    const context = this;
     if (args.length > 0) {
       return function (...otherArgs) {
         if (otherArgs.length === 0) {
-          return callback.apply(this, args);
+          return callback.apply(context, fillPlaceholders(args));
         }
-        return curriedFunc.apply(this, args.concat(otherArgs));
+        return curriedFunc.apply(context, mergeArgs(args, otherArgs));
       };
     }
-    return callback.apply(this);
+    return callback.apply(context);
   }
   return curriedFunc;
 }
 
+function curryFixed(callback, arity, args, context) {
+  return function (...otherArgs) {
+    const mergedArgs = mergeArgs(args, otherArgs);
+    const isComplete =
+      mergedArgs.length >= arity &&
+      !mergedArgs.slice(0, arity).includes(PLACEHOLDER);
+    if (isComplete) {
+      return callback.apply(context, mergedArgs);
+    }
+    return curryFixed(callback, arity, mergedArgs, context);
+  };
+}
+
+curry.fixed = (callback, arity = callback.length) => curry(callback, arity);
+curry.placeholder = PLACEHOLDER;
+
+function partial(callback, ...presetArgs) {
+  return function (...laterArgs) {
+    return callback.apply(
+      this,
+      fillPlaceholders(mergeArgs(presetArgs, laterArgs))
+    );
+  };
+}
+
+function partialRight(callback, ...presetArgs) {
+  return function (...laterArgs) {
+    const placeholderCount = presetArgs.filter(
+      (arg) => arg === PLACEHOLDER
+    ).length;
+    const leadingCount = Math.max(0, laterArgs.length - placeholderCount);
+    return callback.apply(this, [
+      ...laterArgs.slice(0, leadingCount),
+      ...fillPlaceholders(
+        mergeArgs(presetArgs, laterArgs.slice(leadingCount)).slice(
+          0,
+          presetArgs.length
+        )
+      ),
+    ]);
+  };
+}
+
+function pipe(...callbacks) {
+  return function (...args) {
+    if (callbacks.length === 0) return args[0];
+    const [first, ...rest] = callbacks;
+    return rest.reduce(
+      (result, callback) => callback.call(this, result),
+      first.apply(this, args)
+    );
+  };
+}
+
+function compose(...callbacks) {
+  return pipe(...callbacks.reverse());
+}
+
 const sum = (...numbers) => numbers.reduce((acc, curr) => acc + curr, 0);
 const curriedSum = curry(sum);
 
@@ -22,3 +104,22 @@ console.log(curriedSum(1)(2)());
 console.log(curriedSum(1, 2)(3)(4, 5, 6)());
 console.log(curriedSum(1));
 console.log(curriedSum(1)(2)(3));
+
+const _ = curry.placeholder;
+const volume = curry.fixed((length, width, height) => length * width * height);
+console.log(volume(2)(3)(4)); // 24
+console.log(volume(2, 3)(4)); // 24
+console.log(volume(_, 3)(_, 4)(2)); // 24
+
+const greet = (greeting, name, punctuation) =>
+  `${greeting}, ${name}${punctuation}`;
+console.log(partial(greet, "Hello", _, "!")("Ada")); // "Hello, Ada!"
+console.log(partialRight(greet, "!")("Hi", "Ada")); // "Hi, Ada!"
+
+const slugify = pipe(
+  (text) => text.trim(),
+  (text) => text.toLowerCase(),
+  (text) => text.replace(/\s+/g, "-")
+);
+console.log(slugify("  Fixed Arity Curry ")); // "fixed-arity-curry"
+console.log(compose(Math.abs, Math.round)(-4.6)); // 5
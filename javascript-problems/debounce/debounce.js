@@ -1,17 +1,124 @@
-function debounce(callback, delay, immediate = false) {
-  let timeoutId;
-  return function (...args) {
-    clearTimeout(timeoutId);
-    if (immediate && timeoutId == null) {
-      callback.apply(this, args);
+function debounce(callback, delay, options = false) {
+  const {
+    leading = false,
+    trailing = true,
+    maxWait = null,
+    signal = null,
+  } = typeof options === "boolean"
+    ? { leading: options, trailing: !options }
+    : options;
+  const maxDelay = maxWait == null ? null : Math.max(maxWait, delay);
+
+  let timeoutId = null;
+  let lastArgs = null;
+  let lastThis = null;
+  let lastCallTime = null;
+  let lastInvokeTime = 0;
+  let result;
+
+  function invoke(time) {
+    const args = lastArgs;
+    const thisArg = lastThis;
+    lastArgs = null;
+    lastThis = null;
+    lastInvokeTime = time;
+    result = callback.apply(thisArg, args);
+    return result;
+  }
+
+  function shouldInvoke(time) {
+    if (lastCallTime == null) return true;
+    const timeSinceLastCall = time - lastCallTime;
+    return (
+      timeSinceLastCall >= delay ||
+      timeSinceLastCall < 0 ||
+      (maxDelay != null && time - lastInvokeTime >= maxDelay)
+    );
+  }
+
+  function getRemainingWait(time) {
+    const remainingDelay = delay - (time - lastCallTime);
+    return maxDelay == null
+      ? remainingDelay
+      : Math.min(remainingDelay, maxDelay - (time - lastInvokeTime));
+  }
+
+  function handleTimeout() {
+    const time = Date.now();
+    if (shouldInvoke(time)) {
+      trailingEdge(time);
+    } else {
+      timeoutId = setTimeout(handleTimeout, getRemainingWait(time));
+    }
+  }
+
+  function leadingEdge(time) {
+    lastInvokeTime = time;
+    timeoutId = setTimeout(handleTimeout, delay);
+    return leading ? invoke(time) : result;
+  }
+
+  function trailingEdge(time) {
+    timeoutId = null;
+    if (trailing && lastArgs != null) {
+      return invoke(time);
     }
-    timeoutId = setTimeout(() => {
-      if (!immediate) {
-        callback.apply(this, args);
+    lastArgs = null;
+    lastThis = null;
+    return result;
+  }
+
+  function debounced(...args) {
+    if (signal?.aborted) return result;
+
+    const time = Date.now();
+    const isInvoking = shouldInvoke(time);
+    lastArgs = args;
+    lastThis = this;
+    lastCallTime = time;
+
+    if (isInvoking) {
+      if (timeoutId == null) {
+        return leadingEdge(time);
+      }
+      if (maxDelay != null) {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(handleTimeout, delay);
+        return invoke(time);
       }
-      timeoutId = null;
-    }, delay);
+    }
+    if (timeoutId == null) {
+      timeoutId = setTimeout(handleTimeout, delay);
+    }
+    return result;
+  }
+
+  debounced.cancel = function () {
+    clearTimeout(timeoutId);
+    timeoutId = null;
+    lastArgs = null;
+    lastThis = null;
+    lastCallTime = null;
+    lastInvokeTime = 0;
   };
+
+  debounced.flush = function () {
+    if (timeoutId == null) return result;
+    clearTimeout(timeoutId);
+    return trailingEdge(Date.now());
+  };
+
+  debounced.pending = function () {
+    return timeoutId != null;
+  };
+
+  if (signal?.aborted) {
+    debounced.cancel();
+  } else {
+    signal?.addEventListener("abort", debounced.cancel, { once: true });
+  }
+
+  return debounced;
 }
 
 const log = (msg) => console.log("Called:", msg, "at", Date.now());
@@ -23,3 +130,26 @@ debounced("typing..."); // waits 3s after last call to execute
 // Example 2: Immediate debounce
 const debouncedImmediate = debounce(log, 3000, true);
 debouncedImmediate("first call fires immediately");
+
+// Example 3: Leading and trailing calls, at most every 5s while typing
+const debouncedSave = debounce(log, 1000, {
+  leading: true,
+  trailing: true,
+  maxWait: 5000,
+});
+debouncedSave("saved immediately");
+debouncedSave("saved after 1s of silence");
+
+// Example 4: Flushing, cancelling and aborting
+const debouncedFlush = debounce((msg) => msg.toUpperCase(), 3000);
+debouncedFlush("flushed");
+console.log(debouncedFlush.pending()); // true
+console.log(debouncedFlush.flush()); // "FLUSHED"
+console.log(debouncedFlush("ignored")); // "FLUSHED" (last result)
+debouncedFlush.cancel();
+console.log(debouncedFlush.pending()); // false
+
+const controller = new AbortController();
+const debouncedAbort = debounce(log, 3000, { signal: controller.signal });
+debouncedAbort("never called");
+controller.abort();
@@ -1,12 +1,102 @@
-function deepEquals(valueOne, valueTwo) {
+// testing-framework/testing-framework.js has a copy of the functions up to
+// areContentsEqual for toEqual and toStrictEqual, update it along with them.
+function getTag(value) {
+  return Object.prototype.toString.call(value);
+}
+
+function getEnumerableKeys(value) {
+  return Reflect.ownKeys(value).filter((key) =>
+    Object.prototype.propertyIsEnumerable.call(value, key)
+  );
+}
+
+function arePrimitivesEqual(valueOne, valueTwo) {
+  if (Number.isNaN(valueOne) && Number.isNaN(valueTwo)) {
+    return true;
+  }
+  return valueOne === valueTwo;
+}
+
+function areBytesEqual(bytesOne, bytesTwo) {
+  if (bytesOne.length !== bytesTwo.length) {
+    return false;
+  }
+  for (let i = 0; i < bytesOne.length; i++) {
+    if (bytesOne[i] !== bytesTwo[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function areMapsEqual(mapOne, mapTwo, visited) {
+  if (mapOne.size !== mapTwo.size) {
+    return false;
+  }
+  const unmatchedEntries = [...mapTwo].filter(([key]) => !mapOne.has(key));
+  for (const [key, value] of mapOne) {
+    if (mapTwo.has(key)) {
+      if (!deepEquals(value, mapTwo.get(key), visited)) {
+        return false;
+      }
+      continue;
+    }
+    const matchIndex = unmatchedEntries.findIndex(
+      ([otherKey, otherValue]) =>
+        deepEquals(key, otherKey, visited) &&
+        deepEquals(value, otherValue, visited)
+    );
+    if (matchIndex === -1) {
+      return false;
+    }
+    unmatchedEntries.splice(matchIndex, 1);
+  }
+  return true;
+}
+
+function areSetsEqual(setOne, setTwo, visited) {
+  if (setOne.size !== setTwo.size) {
+    return false;
+  }
+  const unmatchedValues = [...setTwo].filter((value) => !setOne.has(value));
+  for (const value of setOne) {
+    if (setTwo.has(value)) {
+      continue;
+    }
+    const matchIndex = unmatchedValues.findIndex((otherValue) =>
+      deepEquals(value, otherValue, visited)
+    );
+    if (matchIndex === -1) {
+      return false;
+    }
+    unmatchedValues.splice(matchIndex, 1);
+  }
+  return true;
+}
+
+function areObjectsEqual(valueOne, valueTwo, visited) {
+  const valueOneKeys = getEnumerableKeys(valueOne);
+  const valueTwoKeys = getEnumerableKeys(valueTwo);
+  if (valueOneKeys.length !== valueTwoKeys.length) {
+    return false;
+  }
+  for (const key of valueOneKeys) {
+    if (!Object.prototype.propertyIsEnumerable.call(valueTwo, key)) {
+      return false;
+    }
+    if (!deepEquals(valueOne[key], valueTwo[key], visited)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function deepEquals(valueOne, valueTwo, visited = new Map()) {
   if (typeof valueOne !== typeof valueTwo) {
     return false;
   }
   if (typeof valueOne !== "object") {
-    if (Number.isNaN(valueOne) && Number.isNaN(valueTwo)) {
-      return true;
-    }
-    return valueOne === valueTwo;
+    return arePrimitivesEqual(valueOne, valueTwo);
   }
   if (valueOne === null || valueTwo === null) {
     return valueOne === valueTwo;
@@ -14,34 +104,166 @@ function deepEquals(valueOne, valueTwo) {
   if (valueOne === valueTwo) {
     return true;
   }
-  if (Array.isArray(valueOne) && Array.isArray(valueTwo)) {
+  if (
+    Object.getPrototypeOf(valueOne) !== Object.getPrototypeOf(valueTwo) ||
+    getTag(valueOne) !== getTag(valueTwo)
+  ) {
+    return false;
+  }
+
+  const comparedValues = visited.get(valueOne) ?? new Set();
+  if (comparedValues.has(valueTwo)) {
+    return true;
+  }
+  comparedValues.add(valueTwo);
+  visited.set(valueOne, comparedValues);
+  const areEqual = areContentsEqual(valueOne, valueTwo, visited);
+  comparedValues.delete(valueTwo);
+  return areEqual;
+}
+
+function areContentsEqual(valueOne, valueTwo, visited) {
+  switch (getTag(valueOne)) {
+    case "[object Date]":
+      return arePrimitivesEqual(valueOne.getTime(), valueTwo.getTime());
+    case "[object RegExp]":
+      return (
+        valueOne.source === valueTwo.source && valueOne.flags === valueTwo.flags
+      );
+    case "[object Number]":
+    case "[object String]":
+    case "[object Boolean]":
+    case "[object BigInt]":
+    case "[object Symbol]":
+      return arePrimitivesEqual(valueOne.valueOf(), valueTwo.valueOf());
+    case "[object ArrayBuffer]":
+      return areBytesEqual(new Uint8Array(valueOne), new Uint8Array(valueTwo));
+    case "[object DataView]":
+      return areBytesEqual(
+        new Uint8Array(
+          valueOne.buffer,
+          valueOne.byteOffset,
+          valueOne.byteLength
+        ),
+        new Uint8Array(
+          valueTwo.buffer,
+          valueTwo.byteOffset,
+          valueTwo.byteLength
+        )
+      );
+    case "[object Map]":
+      return areMapsEqual(valueOne, valueTwo, visited);
+    case "[object Set]":
+      return areSetsEqual(valueOne, valueTwo, visited);
+  }
+
+  if (Array.isArray(valueOne) || ArrayBuffer.isView(valueOne)) {
     if (valueOne.length !== valueTwo.length) {
       return false;
     }
     for (let i = 0; i < valueOne.length; i++) {
-      if (!deepEquals(valueOne[i], valueTwo[i])) {
+      if (!deepEquals(valueOne[i], valueTwo[i], visited)) {
         return false;
       }
     }
     return true;
   }
-  if (Array.isArray(valueOne) || Array.isArray(valueTwo)) {
-    return false;
+  return areObjectsEqual(valueOne, valueTwo, visited);
+}
+
+function appendPath(path, key) {
+  if (typeof key === "symbol") return `${path}[${key.toString()}]`;
+  if (typeof key === "number") return `${path}[${key}]`;
+  if (!/^[A-Za-z_$][\w$]*$/.test(key)) return `${path}[${JSON.stringify(key)}]`;
+  return path === "" ? key : `${path}.${key}`;
+}
+
+function getDiffKind(valueOne, valueTwo) {
+  const isObject = (value) => typeof value === "object" && value !== null;
+  if (
+    !isObject(valueOne) ||
+    !isObject(valueTwo) ||
+    Object.getPrototypeOf(valueOne) !== Object.getPrototypeOf(valueTwo)
+  ) {
+    return null;
   }
-  const valueOneKeys = Object.keys(valueOne);
-  const valueTwoKeys = Object.keys(valueTwo);
-  if (valueOneKeys.length !== valueTwoKeys.length) {
-    return false;
+  if (Array.isArray(valueOne)) return "array";
+  if (getTag(valueOne) === "[object Map]") return "map";
+  return getTag(valueOne) === "[object Object]" ? "object" : null;
+}
+
+function deepDiff(valueOne, valueTwo, path = "", visited = new Map()) {
+  const kind = getDiffKind(valueOne, valueTwo);
+  if (kind == null) {
+    return deepEquals(valueOne, valueTwo)
+      ? []
+      : [{ type: "changed", path, valueOne, valueTwo }];
   }
-  for (const key of valueOneKeys) {
-    if (!valueTwoKeys.includes(key)) {
-      return false;
-    }
-    if (!deepEquals(valueOne[key], valueTwo[key])) {
-      return false;
-    }
+
+  const comparedValues = visited.get(valueOne) ?? new Set();
+  if (comparedValues.has(valueTwo)) {
+    return [];
   }
-  return true;
+  comparedValues.add(valueTwo);
+  visited.set(valueOne, comparedValues);
+  const diffs = diffContents(valueOne, valueTwo, kind, path, visited);
+  comparedValues.delete(valueTwo);
+  return diffs;
+}
+
+function diffEntry(valueOne, valueTwo, hasOne, hasTwo, path, visited) {
+  if (hasOne && hasTwo) {
+    return deepDiff(valueOne, valueTwo, path, visited);
+  }
+  if (!hasOne && !hasTwo) {
+    return [];
+  }
+  return [{ type: hasOne ? "removed" : "added", path, valueOne, valueTwo }];
+}
+
+function diffContents(valueOne, valueTwo, kind, path, visited) {
+  if (kind === "array") {
+    const length = Math.max(valueOne.length, valueTwo.length);
+    return Array.from({ length }, (_, i) =>
+      diffEntry(
+        valueOne[i],
+        valueTwo[i],
+        i in valueOne,
+        i in valueTwo,
+        appendPath(path, i),
+        visited
+      )
+    ).flat();
+  }
+  if (kind === "map") {
+    const keys = new Set([...valueOne.keys(), ...valueTwo.keys()]);
+    return [...keys].flatMap((key) =>
+      diffEntry(
+        valueOne.get(key),
+        valueTwo.get(key),
+        valueOne.has(key),
+        valueTwo.has(key),
+        `${path}${path === "" ? "" : "."}get(${
+          typeof key === "string" ? JSON.stringify(key) : String(key)
+        })`,
+        visited
+      )
+    );
+  }
+  const keys = new Set([
+    ...getEnumerableKeys(valueOne),
+    ...getEnumerableKeys(valueTwo),
+  ]);
+  return [...keys].flatMap((key) =>
+    diffEntry(
+      valueOne[key],
+      valueTwo[key],
+      Object.hasOwn(valueOne, key),
+      Object.hasOwn(valueTwo, key),
+      appendPath(path, key),
+      visited
+    )
+  );
 }
 
 console.log(deepEquals(NaN, NaN));
@@ -64,3 +286,37 @@ console.log(deepEquals([1, 2, [3, 4]], [1, 2, [3, 4]]));
 console.log(
   deepEquals([1, 2, [3, 4, { a: "abc" }]], [1, 2, [3, 4, { a: "abc" }]])
 );
+
+console.log(deepEquals(new Date(0), new Date(1))); // false
+console.log(deepEquals(new Map([[1, { a: 1 }]]), new Map([[1, { a: 2 }]]))); // false
+console.log(deepEquals(new Set([{ a: 1 }]), new Set([{ a: 1 }]))); // true
+console.log(deepEquals(/a/g, /a/i)); // false
+console.log(deepEquals(new Uint8Array([1, 2]), new Uint8Array([1, 2]))); // true
+console.log(deepEquals(new Uint8Array([1, 2]), new Int8Array([1, 2]))); // false
+console.log(deepEquals(new Number(1), new Number(2))); // false
+console.log(deepEquals({ [Symbol.for("id")]: 1 }, { [Symbol.for("id")]: 2 })); // false
+console.log(deepEquals(Object.create(null), {})); // false
+
+const cyclicOne = { name: "a" };
+cyclicOne.self = cyclicOne;
+const cyclicTwo = { name: "a" };
+cyclicTwo.self = cyclicTwo;
+console.log(deepEquals(cyclicOne, cyclicTwo)); // true
+
+console.log(
+  deepDiff(
+    { a: 123, b: { c: [4, 5, 6] }, d: new Map([["e", 1]]) },
+    { a: 123, b: { c: [4, "5"] }, d: new Map([["e", 2]]) }
+  )
+);
+// [
+//   { type: "changed", path: "b.c[1]", valueOne: 5, valueTwo: "5" },
+//   { type: "removed", path: "b.c[2]", valueOne: 6, valueTwo: undefined },
+//   { type: "changed", path: 'd.get("e")', valueOne: 1, valueTwo: 2 },
+// ]
+console.log(deepDiff({ a: undefined }, {}));
+// [{ type: "removed", path: "a", valueOne: undefined, valueTwo: undefined }]
+console.log(deepDiff([], [undefined]));
+// [{ type: "added", path: "[0]", valueOne: undefined, valueTwo: undefined }]
+console.log(deepDiff(new Map([[1, undefined]]), new Map()));
+// [{ type: "removed", path: "get(1)", valueOne: undefined, valueTwo: undefined }]
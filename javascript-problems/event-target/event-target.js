@@ -1,21 +1,283 @@
+class Event {
+  static NONE = 0;
+  static CAPTURING_PHASE = 1;
+  static AT_TARGET = 2;
+  static BUBBLING_PHASE = 3;
+
+  constructor(type, { detail = null, bubbles = false } = {}) {
+    this.type = type;
+    this.detail = detail;
+    this.bubbles = bubbles;
+    this.target = null;
+    this.currentTarget = null;
+    this.eventPhase = Event.NONE;
+    this.path = [];
+    this.defaultPrevented = false;
+    this.propagationStopped = false;
+    this.immediatePropagationStopped = false;
+  }
+
+  composedPath() {
+    return [...this.path];
+  }
+
+  preventDefault() {
+    this.defaultPrevented = true;
+  }
+
+  stopPropagation() {
+    this.propagationStopped = true;
+  }
+
+  stopImmediatePropagation() {
+    this.propagationStopped = true;
+    this.immediatePropagationStopped = true;
+  }
+}
+
+function reportListenerError(error) {
+  if (typeof globalThis.reportError === "function") {
+    globalThis.reportError(error);
+  } else {
+    setTimeout(() => {
+      throw error;
+    });
+  }
+}
+
+function getListenerOptions(options) {
+  return typeof options === "boolean" ? { capture: options } : options ?? {};
+}
+
 class EventTarget {
-  constructor() {
+  constructor(parent = null) {
+    this.parent = parent;
     this.eventListenerMap = new Map();
+    this.captureListenerMap = new Map();
+  }
+
+  getListenerMap(capture) {
+    return capture ? this.captureListenerMap : this.eventListenerMap;
+  }
+
+  addEventListener(name, listener, options) {
+    const {
+      capture = false,
+      once = false,
+      signal = null,
+    } = getListenerOptions(options);
+    if (listener == null || signal?.aborted) {
+      return;
+    }
+    const listenerMap = this.getListenerMap(capture);
+    if (!listenerMap.has(name)) {
+      listenerMap.set(name, new Map());
+    }
+    const listeners = listenerMap.get(name);
+    if (listeners.has(listener)) {
+      return;
+    }
+
+    const onAbort = () => this.removeEventListener(name, listener, { capture });
+    listeners.set(listener, { once, signal, onAbort });
+    signal?.addEventListener("abort", onAbort, { once: true });
+  }
+
+  removeEventListener(name, listener, options) {
+    const { capture = false } = getListenerOptions(options);
+    const listeners = this.getListenerMap(capture).get(name);
+    const registration = listeners?.get(listener);
+    if (registration == null) {
+      return;
+    }
+    listeners.delete(listener);
+    registration.signal?.removeEventListener("abort", registration.onAbort);
+  }
+
+  getListenerNames(type) {
+    return [type];
+  }
+
+  callListener(listener, event) {
+    if (typeof listener === "function") {
+      return listener.call(this, event);
+    }
+    return listener.handleEvent(event);
+  }
+
+  invokeListeners(event, capture) {
+    if (event.propagationStopped) {
+      return;
+    }
+    event.currentTarget = this;
+
+    const listenerMap = this.getListenerMap(capture);
+    const entries = this.getListenerNames(event.type, capture).flatMap((name) =>
+      [...(listenerMap.get(name) ?? [])].map(([listener, registration]) => [
+        name,
+        listener,
+        registration,
+      ])
+    );
+    for (const [name, listener, registration] of entries) {
+      if (event.immediatePropagationStopped) {
+        break;
+      }
+      if (listenerMap.get(name)?.get(listener) !== registration) {
+        continue;
+      }
+      if (registration.once) {
+        this.removeEventListener(name, listener, { capture });
+      }
+      try {
+        this.callListener(listener, event);
+      } catch (error) {
+        reportListenerError(error);
+      }
+    }
+  }
+
+  dispatchEvent(eventOrName) {
+    const event =
+      typeof eventOrName === "string" ? new Event(eventOrName) : eventOrName;
+    const path = [];
+    for (let node = this; node != null; node = node.parent) {
+      if (path.includes(node)) {
+        throw new Error("Event target parents cannot form a cycle");
+      }
+      path.push(node);
+    }
+    event.target = this;
+    event.path = path;
+
+    try {
+      event.eventPhase = Event.CAPTURING_PHASE;
+      for (let i = path.length - 1; i > 0; i--) {
+        path[i].invokeListeners(event, true);
+      }
+
+      event.eventPhase = Event.AT_TARGET;
+      this.invokeListeners(event, true);
+      this.invokeListeners(event, false);
+
+      if (event.bubbles) {
+        event.eventPhase = Event.BUBBLING_PHASE;
+        for (let i = 1; i < path.length; i++) {
+          path[i].invokeListeners(event, false);
+        }
+      }
+    } finally {
+      event.eventPhase = Event.NONE;
+      event.currentTarget = null;
+      event.path = [];
+      event.propagationStopped = false;
+      event.immediatePropagationStopped = false;
+    }
+    return !event.defaultPrevented;
   }
+}
 
-  addEventListener(name, callback) {
-    if (!this.eventListenerMap.has(name)) {
-      this.eventListenerMap.set(name, new Set());
+function matchesPattern(pattern, type) {
+  if (pattern === type || pattern === "*") {
+    return true;
+  }
+  const patternParts = pattern.split(":");
+  const typeParts = type.split(":");
+  for (let i = 0; i < patternParts.length; i++) {
+    if (i >= typeParts.length) {
+      return false;
+    }
+    if (patternParts[i] === "*" && i === patternParts.length - 1) {
+      return true;
+    }
+    if (patternParts[i] !== "*" && patternParts[i] !== typeParts[i]) {
+      return false;
     }
-    this.eventListenerMap.get(name).add(callback);
   }
+  return patternParts.length === typeParts.length;
+}
 
-  removeEventListener(name, callback) {
-    this.eventListenerMap.get(name)?.delete(callback);
+class EventBus extends EventTarget {
+  constructor({ onError = (error) => console.error(error) } = {}) {
+    super();
+    this.onError = onError;
+    this.stickyEvents = new Map();
   }
 
-  dispatchEvent(name) {
-    this.eventListenerMap.get(name)?.forEach((callback) => callback());
+  getListenerNames(type, capture) {
+    const patterns = [...this.getListenerMap(capture).keys()].filter(
+      (pattern) => pattern !== type && matchesPattern(pattern, type)
+    );
+    return [type, ...patterns];
+  }
+
+  callListener(listener, event) {
+    try {
+      const result = super.callListener(listener, event);
+      if (typeof result?.then === "function") {
+        const pendingListener = Promise.resolve(result).catch((error) =>
+          this.onError(error, event)
+        );
+        event.pendingListeners?.push(pendingListener);
+      }
+    } catch (error) {
+      this.onError(error, event);
+    }
+  }
+
+  on(pattern, listener, { once = false, signal = null, replay = true } = {}) {
+    this.addEventListener(pattern, listener, { once, signal });
+    if (replay && !signal?.aborted) {
+      for (const [type, detail] of this.stickyEvents) {
+        if (!matchesPattern(pattern, type)) {
+          continue;
+        }
+        const event = new Event(type, { detail });
+        event.target = this;
+        event.currentTarget = this;
+        this.callListener(listener, event);
+        if (once) {
+          this.off(pattern, listener);
+          break;
+        }
+      }
+    }
+    return () => this.off(pattern, listener);
+  }
+
+  once(pattern, listener, options = {}) {
+    return this.on(pattern, listener, { ...options, once: true });
+  }
+
+  off(pattern, listener) {
+    this.removeEventListener(pattern, listener);
+  }
+
+  createEvent(type, detail, sticky) {
+    if (type.split(":").includes("*")) {
+      throw new TypeError(`Cannot emit the wildcard pattern "${type}"`);
+    }
+    if (sticky) {
+      this.stickyEvents.set(type, detail);
+    }
+    const event = new Event(type, { detail });
+    event.pendingListeners = [];
+    return event;
+  }
+
+  emit(type, detail, { sticky = false } = {}) {
+    return this.dispatchEvent(this.createEvent(type, detail, sticky));
+  }
+
+  async emitAsync(type, detail, { sticky = false } = {}) {
+    const event = this.createEvent(type, detail, sticky);
+    this.dispatchEvent(event);
+    await Promise.all(event.pendingListeners);
+    return !event.defaultPrevented;
+  }
+
+  clearSticky(type) {
+    this.stickyEvents.delete(type);
   }
 }
 
@@ -33,3 +295,99 @@ target.removeEventListener("hello", logHello);
 
 target.dispatchEvent("hello");
 target.dispatchEvent("world");
+
+const form = new EventTarget();
+form.addEventListener("submit", (event) => event.preventDefault(), {
+  once: true,
+});
+form.addEventListener("submit", {
+  handleEvent(event) {
+    console.log(event.type, event.detail, event.target === form);
+  },
+});
+console.log(form.dispatchEvent(new Event("submit", { detail: { id: 1 } }))); // logs "submit { id: 1 } true", then false
+console.log(form.dispatchEvent(new Event("submit", { detail: { id: 2 } }))); // logs "submit { id: 2 } true", then true
+
+const controller = new AbortController();
+form.addEventListener("reset", () => console.log("reset"), {
+  signal: controller.signal,
+});
+form.addEventListener("reset", (event) => event.stopImmediatePropagation());
+form.addEventListener("reset", () => console.log("never called"));
+form.dispatchEvent(new Event("reset")); // logs "reset"
+controller.abort();
+form.dispatchEvent(new Event("reset")); // logs nothing
+
+const list = new EventTarget();
+const item = new EventTarget(list);
+const button = new EventTarget(item);
+const names = new Map([
+  [list, "list"],
+  [item, "item"],
+  [button, "button"],
+]);
+const phaseOrder = [];
+for (const node of [list, item, button]) {
+  for (const capture of [false, true]) {
+    node.addEventListener(
+      "click",
+      (event) => {
+        phaseOrder.push(
+          `${names.get(event.currentTarget)} ${
+            capture ? "capture" : "bubble"
+          } ${event.eventPhase}`
+        );
+      },
+      { capture }
+    );
+  }
+}
+
+button.dispatchEvent(new Event("click", { bubbles: true }));
+// The order the same listeners run in when dispatching on DOM elements
+const domPhaseOrder = [
+  "list capture 1",
+  "item capture 1",
+  "button capture 2",
+  "button bubble 2",
+  "item bubble 3",
+  "list bubble 3",
+];
+console.log(phaseOrder.join() === domPhaseOrder.join()); // true
+
+phaseOrder.length = 0;
+button.dispatchEvent(new Event("click"));
+console.log(phaseOrder); // ["list capture 1", "item capture 1", "button capture 2", "button bubble 2"]
+
+phaseOrder.length = 0;
+item.addEventListener("click", (event) => event.stopPropagation(), true);
+button.dispatchEvent(new Event("click", { bubbles: true }));
+console.log(phaseOrder); // ["list capture 1", "item capture 1"]
+
+button.addEventListener("tap", (event) => {
+  console.log(event.composedPath().map((node) => names.get(node))); // ["button", "item", "list"]
+});
+button.dispatchEvent(new Event("tap"));
+
+const bus = new EventBus({
+  onError: (error) => console.log("listener failed:", error.message),
+});
+bus.on("todo:*", (event) => console.log("todo changed:", event.type));
+bus.on("*", (event) => console.log("bus saw:", event.type));
+bus.emit("todo:added", { name: "Write docs" }); // logs "todo changed: todo:added", then "bus saw: todo:added"
+bus.emit("stopwatch:stopped", { milliseconds: 1500 }); // logs "bus saw: stopwatch:stopped"
+
+bus.emit("tier-list:ranked", { S: ["JavaScript"] }, { sticky: true });
+bus.on("tier-list:ranked", (event) => console.log("late:", event.detail)); // logs "late: { S: ['JavaScript'] }" immediately
+bus.on("tier-list:ranked", async () => {
+  throw new Error("late async listener");
+}); // logs "listener failed: late async listener" instead of an unhandled rejection
+
+bus.on("save", () => {
+  throw new Error("one bad listener");
+});
+bus.on("save", async (event) => {
+  await new Promise((res) => setTimeout(res, 100));
+  console.log("saved", event.detail);
+});
+bus.emitAsync("save", 42).then(() => console.log("all save listeners done")); // logs "listener failed: one bad listener", then "saved 42", then "all save listeners done"
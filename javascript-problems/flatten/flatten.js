@@ -1,44 +1,203 @@
-function flattenArray(value) {
+function assertNotCircular(value, ancestors, path) {
+  if (ancestors.has(value)) {
+    throw new TypeError(
+      `Cannot flatten a circular structure: ${
+        path === "" ? "the root value" : `"${path}"`
+      } refers to one of its ancestors`
+    );
+  }
+}
+
+function joinPath(path, key, delimiter) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path === "" ? key : `${path}${delimiter}${key}`;
+}
+
+function flattenArray(value, depth, ancestors, path) {
+  assertNotCircular(value, ancestors, path);
+  ancestors.add(value);
   let flatArray = [];
-  value.forEach((el) => {
+  value.forEach((el, i) => {
+    const elPath = joinPath(path, i, ".");
     if (el !== Object(el)) {
       flatArray.push(el);
     } else if (Array.isArray(el)) {
-      flatArray.push(...flattenArray(el));
+      if (depth > 0) {
+        flatArray.push(...flattenArray(el, depth - 1, ancestors, elPath));
+      } else {
+        flatArray.push(el);
+      }
     } else {
-      flatArray.push(flattenPlainObject(el));
+      flatArray.push(flattenPlainObject(el, depth, ancestors, elPath));
     }
   });
+  ancestors.delete(value);
   return flatArray;
 }
 
-function flattenPlainObject(value) {
+function flattenPlainObject(value, depth, ancestors, path) {
+  assertNotCircular(value, ancestors, path);
+  ancestors.add(value);
   let flatObject = {};
   for (const [objKey, objectValue] of Object.entries(value)) {
+    const valuePath = joinPath(path, objKey, ".");
     if (objectValue !== Object(objectValue)) {
       flatObject[objKey] = objectValue;
     } else if (Array.isArray(objectValue)) {
-      flatObject[objKey] = flattenArray(objectValue);
-    } else {
-      const flatChildObject = flattenPlainObject(objectValue);
+      flatObject[objKey] = flattenArray(
+        objectValue,
+        depth,
+        ancestors,
+        valuePath
+      );
+    } else if (depth > 0) {
+      const flatChildObject = flattenPlainObject(
+        objectValue,
+        depth - 1,
+        ancestors,
+        valuePath
+      );
       for (const [ck, cv] of Object.entries(flatChildObject)) {
         flatObject[ck] = cv;
       }
+    } else {
+      flatObject[objKey] = objectValue;
     }
   }
+  ancestors.delete(value);
   return flatObject;
 }
 
-function flatten(value) {
+function isPathContainer(value) {
+  if (Array.isArray(value)) return true;
+  if (value !== Object(value)) return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+function assertPathKey(key, delimiter, path) {
+  if (key === "" || key.includes(delimiter) || /[[\]]/.test(key)) {
+    throw new TypeError(
+      `Cannot flatten ${
+        path === "" ? "the root value" : `"${path}"`
+      } to paths: the key "${key}" is empty or contains the delimiter or square brackets`
+    );
+  }
+}
+
+function flattenToPaths(value, depth, delimiter, ancestors, path, flatObject) {
+  assertNotCircular(value, ancestors, path);
+  ancestors.add(value);
+  const entries = Array.isArray(value)
+    ? value.map((el, i) => [i, el])
+    : Object.entries(value);
+  for (const [key, childValue] of entries) {
+    if (typeof key === "string") {
+      assertPathKey(key, delimiter, path);
+    }
+    const childPath = joinPath(path, key, delimiter);
+    const isEmpty =
+      isPathContainer(childValue) && Object.keys(childValue).length === 0;
+    if (isPathContainer(childValue) && !isEmpty && depth > 0) {
+      flattenToPaths(
+        childValue,
+        depth - 1,
+        delimiter,
+        ancestors,
+        childPath,
+        flatObject
+      );
+    } else {
+      flatObject[childPath] = childValue;
+    }
+  }
+  ancestors.delete(value);
+  return flatObject;
+}
+
+function flatten(
+  value,
+  { depth = Infinity, paths = false, delimiter = "." } = {}
+) {
   if (value !== Object(value)) {
     return value;
+  } else if (paths) {
+    return flattenToPaths(value, depth, delimiter, new Set(), "", {});
   } else if (Array.isArray(value)) {
-    return flattenArray(value);
+    return flattenArray(value, depth, new Set(), "");
   } else {
-    return flattenPlainObject(value);
+    return flattenPlainObject(value, depth, new Set(), "");
   }
 }
 
+function parsePath(path, delimiter) {
+  const keys = [];
+  path.split(delimiter).forEach((segment) => {
+    const [, name, indexes] = segment.match(/^([^[]*)((?:\[\d+\])*)$/) ?? [
+      null,
+      segment,
+      "",
+    ];
+    if (name !== "") {
+      keys.push(name);
+    }
+    for (const [, index] of indexes.matchAll(/\[(\d+)\]/g)) {
+      keys.push(Number(index));
+    }
+  });
+  return keys;
+}
+
+const UNSAFE_KEYS = new Set(["__proto__", "constructor", "prototype"]);
+
+function unflatten(flatObject, { delimiter = "." } = {}) {
+  let root = null;
+  const containers = new Set();
+  for (const [path, value] of Object.entries(flatObject)) {
+    const keys = parsePath(path, delimiter);
+    const unsafeKey = keys.find((key) => UNSAFE_KEYS.has(key));
+    if (unsafeKey !== undefined) {
+      throw new TypeError(
+        `Cannot unflatten "${path}": "${unsafeKey}" is not allowed as a key`
+      );
+    }
+    if (root == null) {
+      root = typeof keys[0] === "number" ? [] : {};
+      containers.add(root);
+    }
+
+    let container = root;
+    keys.forEach((key, i) => {
+      const parentPath =
+        i === 0 ? "the root" : `"${keys.slice(0, i).join(delimiter)}"`;
+      if (Array.isArray(container) !== (typeof key === "number")) {
+        throw new TypeError(
+          `Cannot unflatten "${path}": ${parentPath} mixes array indexes and object keys`
+        );
+      }
+      const isLeaf = i === keys.length - 1;
+      if (
+        Object.hasOwn(container, key) &&
+        (isLeaf || !containers.has(container[key]))
+      ) {
+        throw new TypeError(
+          `Cannot unflatten "${path}": it conflicts with another path that sets the same value`
+        );
+      }
+      if (isLeaf) {
+        container[key] = value;
+        return;
+      }
+      if (!Object.hasOwn(container, key)) {
+        container[key] = typeof keys[i + 1] === "number" ? [] : {};
+        containers.add(container[key]);
+      }
+      container = container[key];
+    });
+  }
+  return root ?? {};
+}
+
 console.log(flatten(1));
 console.log(flatten("hello"));
 console.log(flatten(true));
@@ -81,3 +240,38 @@ console.log(
     },
   })
 );
+
+console.log(flatten({ a: { x: 1 }, b: { x: 2 } })); // { x: 2 }
+console.log(flatten([1, [2, [3, [4]]]], { depth: 1 })); // [1, 2, [3, [4]]]
+console.log(flatten({ a: { x: 1 }, b: { x: 2 } }, { paths: true })); // { "a.x": 1, "b.x": 2 }
+const flatForm = flatten(
+  { user: { name: "Ada", tags: ["admin", { id: 7 }] }, empty: {} },
+  { paths: true }
+);
+console.log(flatForm); // { "user.name": "Ada", "user.tags[0]": "admin", "user.tags[1].id": 7, empty: {} }
+console.log(unflatten(flatForm)); // the original object
+console.log(flatten({ a: { b: { c: 1 } } }, { paths: true, delimiter: "/" })); // { "a/b/c": 1 }
+
+const circular = { a: {} };
+circular.a.self = circular;
+try {
+  flatten(circular);
+} catch (error) {
+  console.log(error.message); // Cannot flatten a circular structure: "a.self" refers to one of its ancestors
+}
+
+try {
+  unflatten({ "__proto__.polluted": true });
+} catch (error) {
+  console.log(error.message); // Cannot unflatten "__proto__.polluted": "__proto__" is not allowed as a key
+}
+try {
+  unflatten({ a: 1, "a.b": 2 });
+} catch (error) {
+  console.log(error.message); // Cannot unflatten "a.b": it conflicts with another path that sets the same value
+}
+try {
+  flatten({ "a.b": 1, a: { c: 2 } }, { paths: true });
+} catch (error) {
+  console.log(error.message); // Cannot flatten the root value to paths: the key "a.b" is empty or contains the delimiter or square brackets
+}
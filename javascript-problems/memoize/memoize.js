@@ -1,21 +1,149 @@
-function memoize(callback, resolver) {
-  const cache = new Map();
+function createMapCache({ maxSize = Infinity, ttl = Infinity } = {}) {
+  const entries = new Map();
 
-  const getCacheKey = (...args) =>
-    resolver != null ? resolver(...args) : JSON.stringify(args);
+  const cache = {
+    has(key) {
+      const entry = entries.get(key);
+      if (entry == null) return false;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return false;
+      }
+      return true;
+    },
 
-  function memoisedFunction(...args) {
-    const cacheKey = getCacheKey(...args);
-    if (cache.has(cacheKey)) {
-      return cache.get(cacheKey);
+    get(key) {
+      const entry = entries.get(key);
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttl });
+      if (entries.size > maxSize) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    delete(key) {
+      return cache.has(key) && entries.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+    },
+  };
+  return cache;
+}
+
+function createReferenceCache({ ttl = Infinity } = {}) {
+  const createNode = () => ({
+    children: new Map(),
+    weakChildren: new WeakMap(),
+    weakChildCount: 0,
+    entry: null,
+  });
+  const isReference = (value) =>
+    (typeof value === "object" && value !== null) ||
+    typeof value === "function";
+  let root = createNode();
+
+  function getNode(args, shouldCreate) {
+    let node = root;
+    for (const arg of args) {
+      const children = isReference(arg) ? node.weakChildren : node.children;
+      if (!children.has(arg)) {
+        if (!shouldCreate) return null;
+        children.set(arg, createNode());
+        if (children === node.weakChildren) node.weakChildCount += 1;
+      }
+      node = children.get(arg);
     }
+    return node;
+  }
 
-    memoisedFunction.callCount += 1;
-    const result = callback(...args);
-    cache.set(cacheKey, result);
-    return result;
+  function isEmptyNode(node) {
+    return (
+      node.entry == null &&
+      node.children.size === 0 &&
+      node.weakChildCount === 0
+    );
   }
 
+  function removeEntry(args) {
+    const ancestors = [];
+    let node = root;
+    for (const arg of args) {
+      const children = isReference(arg) ? node.weakChildren : node.children;
+      ancestors.push({ node, children, arg });
+      node = children.get(arg);
+    }
+    node.entry = null;
+    while (ancestors.length > 0 && isEmptyNode(node)) {
+      const parent = ancestors.pop();
+      parent.children.delete(parent.arg);
+      if (parent.children === parent.node.weakChildren) {
+        parent.node.weakChildCount -= 1;
+      }
+      node = parent.node;
+    }
+  }
+
+  const cache = {
+    has(args) {
+      const node = getNode(args, false);
+      if (node?.entry == null) return false;
+      if (node.entry.expiresAt <= Date.now()) {
+        removeEntry(args);
+        return false;
+      }
+      return true;
+    },
+
+    get(args) {
+      return getNode(args, false).entry.value;
+    },
+
+    set(args, value) {
+      getNode(args, true).entry = { value, expiresAt: Date.now() + ttl };
+    },
+
+    delete(args) {
+      if (!cache.has(args)) return false;
+      removeEntry(args);
+      return true;
+    },
+
+    clear() {
+      root = createNode();
+    },
+  };
+  return cache;
+}
+
+function createCache({ maxSize, ttl, weak, cache }) {
+  if (cache != null) return cache;
+  if (!weak) return createMapCache({ maxSize, ttl });
+  if (maxSize != null) {
+    throw new TypeError(
+      "maxSize can't be used with weak caches, whose keys can't be enumerated"
+    );
+  }
+  return createReferenceCache({ ttl });
+}
+
+function createKeyResolver(resolver, weak) {
+  return (...args) => {
+    if (weak) {
+      return resolver != null ? [resolver(...args)] : args;
+    }
+    return resolver != null ? resolver(...args) : JSON.stringify(args);
+  };
+}
+
+function addCacheMethods(memoisedFunction, cache, getCacheKey, stats) {
   memoisedFunction.callCount = 0;
 
   memoisedFunction.clear = () => {
@@ -32,6 +160,120 @@ function memoize(callback, resolver) {
     return cache.has(cacheKey);
   };
 
+  memoisedFunction.stats = () => {
+    const total = stats.hits + stats.misses;
+    return { ...stats, hitRate: total === 0 ? 0 : stats.hits / total };
+  };
+}
+
+function memoize(callback, options = {}) {
+  const { resolver, ...cacheOptions } =
+    typeof options === "function" ? { resolver: options } : options;
+  const cache = createCache(cacheOptions);
+  const getCacheKey = createKeyResolver(resolver, cacheOptions.weak);
+  const stats = { hits: 0, misses: 0 };
+
+  function memoisedFunction(...args) {
+    const cacheKey = getCacheKey(...args);
+    if (cache.has(cacheKey)) {
+      stats.hits += 1;
+      return cache.get(cacheKey);
+    }
+
+    stats.misses += 1;
+    memoisedFunction.callCount += 1;
+    const result = callback(...args);
+    cache.set(cacheKey, result);
+    return result;
+  }
+
+  addCacheMethods(memoisedFunction, cache, getCacheKey, stats);
+  return memoisedFunction;
+}
+
+function memoizeAsync(callback, options = {}) {
+  const {
+    resolver,
+    ttl = Infinity,
+    staleWhileRevalidate = 0,
+    ...cacheOptions
+  } = typeof options === "function" ? { resolver: options } : options;
+  const cache = createCache({
+    ...cacheOptions,
+    ttl: ttl + staleWhileRevalidate,
+  });
+  const getCacheKey = createKeyResolver(resolver, cacheOptions.weak);
+  const stats = { hits: 0, misses: 0 };
+
+  const isCurrentEntry = (cacheKey, entry) =>
+    cache.has(cacheKey) && cache.get(cacheKey) === entry;
+
+  function callAsync(args) {
+    memoisedFunction.callCount += 1;
+    try {
+      return Promise.resolve(callback(...args));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  function load(cacheKey, args) {
+    const entry = { promise: null, updatedAt: null, isRevalidating: false };
+    entry.promise = callAsync(args).then(
+      (value) => {
+        if (isCurrentEntry(cacheKey, entry)) {
+          entry.updatedAt = Date.now();
+          cache.set(cacheKey, entry);
+        }
+        return value;
+      },
+      (error) => {
+        if (isCurrentEntry(cacheKey, entry)) {
+          cache.delete(cacheKey);
+        }
+        throw error;
+      }
+    );
+    cache.set(cacheKey, entry);
+    return entry.promise;
+  }
+
+  function revalidate(cacheKey, args, staleEntry) {
+    staleEntry.isRevalidating = true;
+    callAsync(args).then(
+      (value) => {
+        if (isCurrentEntry(cacheKey, staleEntry)) {
+          cache.set(cacheKey, {
+            promise: Promise.resolve(value),
+            updatedAt: Date.now(),
+            isRevalidating: false,
+          });
+        }
+      },
+      () => {
+        staleEntry.isRevalidating = false;
+      }
+    );
+  }
+
+  function memoisedFunction(...args) {
+    const cacheKey = getCacheKey(...args);
+    if (!cache.has(cacheKey)) {
+      stats.misses += 1;
+      return load(cacheKey, args);
+    }
+
+    stats.hits += 1;
+    const entry = cache.get(cacheKey);
+    const isStale =
+      entry.updatedAt != null && Date.now() - entry.updatedAt >= ttl;
+    if (isStale && !entry.isRevalidating) {
+      revalidate(cacheKey, args, entry);
+    }
+    return entry.promise;
+  }
+
+  addCacheMethods(memoisedFunction, cache, getCacheKey, stats);
   return memoisedFunction;
 }
 
@@ -48,3 +290,34 @@ console.log(memoized2(123)); // returns 123
 console.log(memoized2(123, "abc")); // returns 123
 console.log(memoized2("abc", 123)); // calls callback, returns ['abc', 123]
 console.log(memoized2("abc")); // returns ['abc', 123]
+
+const square = memoize((x) => x * x, { maxSize: 2 });
+square(1); // calls callback
+square(2); // calls callback
+square(1); // cache hit, 1 becomes the most recently used entry
+square(3); // calls callback, evicts 2
+console.log(square.has(2)); // false
+console.log(square.stats()); // { hits: 1, misses: 3, hitRate: 0.25 }
+
+const getTotal = memoize((cart) => cart.items.length, { ttl: 1000 });
+const cart = { items: [1, 2, 3] };
+console.log(getTotal(cart)); // calls callback, returns 3 (cached for 1s)
+
+const describeUser = memoize((user, locale) => `${user.name} (${locale})`, {
+  weak: true,
+});
+const user = { name: "Ada" };
+console.log(describeUser(user, "en")); // calls callback
+console.log(describeUser({ name: "Ada" }, "en")); // calls callback, another object
+console.log(describeUser(user, "en")); // cache hit, same reference
+console.log(describeUser.has(user, undefined)); // false, undefined !== "en"
+
+const fetchJSON = (url) => fetch(url).then((res) => res.json());
+const fetchSuggestions = memoizeAsync(fetchJSON, {
+  maxSize: 50,
+  ttl: 60000,
+  staleWhileRevalidate: 300000,
+});
+// Both calls share a single request, and a failed request isn't cached:
+// fetchSuggestions("https://api.frontendexpert.io/api/fe/glossary-suggestions?text=acc");
+// fetchSuggestions("https://api.frontendexpert.io/api/fe/glossary-suggestions?text=acc");
@@ -1,17 +1,28 @@
 Promise.myRace = function (promises) {
   return new Promise((res, rej) => {
-    promises.forEach((promise) => {
-      promise.then(res).catch(rej);
-    });
+    for (const promise of promises) {
+      Promise.resolve(promise).then(res, rej);
+    }
   });
 };
 
 Promise.myAny = function (promises) {
   return new Promise((res, rej) => {
-    promises.forEach((promise, index) => {
-      promise.then(res).catch((err) => {
-        if (index === promises.length - 1) {
-          rej("all promises rejected");
+    const items = Array.from(promises);
+    const rejectionReasons = new Array(items.length);
+    let rejectedCount = 0;
+    if (items.length === 0) {
+      rej(new AggregateError(rejectionReasons, "All promises were rejected"));
+      return;
+    }
+    items.forEach((promise, index) => {
+      Promise.resolve(promise).then(res, (err) => {
+        rejectionReasons[index] = err;
+        rejectedCount += 1;
+        if (rejectedCount === items.length) {
+          rej(
+            new AggregateError(rejectionReasons, "All promises were rejected")
+          );
         }
       });
     });
@@ -20,13 +31,18 @@ Promise.myAny = function (promises) {
 
 Promise.myAll = function (promises) {
   return new Promise((res, rej) => {
-    let resolvedValues = new Array(promises.length);
+    const items = Array.from(promises);
+    const resolvedValues = new Array(items.length);
     let resolvedCount = 0;
-    promises.forEach((promise, index) => {
-      promise.then((val) => {
+    if (items.length === 0) {
+      res(resolvedValues);
+      return;
+    }
+    items.forEach((promise, index) => {
+      Promise.resolve(promise).then((val) => {
         resolvedValues[index] = val;
         resolvedCount += 1;
-        if (resolvedCount === promises.length) {
+        if (resolvedCount === items.length) {
           res(resolvedValues);
         }
       }, rej);
@@ -36,19 +52,24 @@ Promise.myAll = function (promises) {
 
 Promise.myAllSettled = function (promises) {
   return new Promise((res, _) => {
-    const resolvedValues = [];
+    const items = Array.from(promises);
+    const resolvedValues = new Array(items.length);
     let resolvedCount = 0;
-    promises.forEach((promise, index) => {
-      promise
+    if (items.length === 0) {
+      res(resolvedValues);
+      return;
+    }
+    items.forEach((promise, index) => {
+      Promise.resolve(promise)
         .then((val) => {
           resolvedValues[index] = { status: "fulfilled", value: val };
         })
         .catch((err) => {
-          resolvedValues[index] = { status: "rejected", error: err };
+          resolvedValues[index] = { status: "rejected", reason: err };
         })
         .finally(() => {
           resolvedCount += 1;
-          if (resolvedCount === promises.length) {
+          if (resolvedCount === items.length) {
             res(resolvedValues);
           }
         });
@@ -56,6 +77,83 @@ Promise.myAllSettled = function (promises) {
   });
 };
 
+function promisePool(tasks, limit, { mode = "fail-fast", signal } = {}) {
+  return new Promise((res, rej) => {
+    if (limit !== Infinity && !(Number.isInteger(limit) && limit >= 1)) {
+      throw new RangeError(
+        `limit must be a positive integer or Infinity, got ${limit}`
+      );
+    }
+    if (mode !== "fail-fast" && mode !== "settle-all") {
+      throw new TypeError(`unknown mode ${mode}`);
+    }
+
+    const taskList = Array.from(tasks);
+    const results = new Array(taskList.length);
+    let nextIndex = 0;
+    let completedCount = 0;
+    let isDone = false;
+
+    const finish = (settle, value) => {
+      if (isDone) return;
+      isDone = true;
+      signal?.removeEventListener("abort", handleAbort);
+      settle(value);
+    };
+
+    const handleAbort = () => finish(rej, signal.reason);
+
+    const handleCompletion = (index, result) => {
+      results[index] = result;
+      completedCount += 1;
+      runNextTask();
+    };
+
+    const runNextTask = () => {
+      if (isDone) return;
+      if (completedCount === taskList.length) {
+        finish(res, results);
+        return;
+      }
+      if (nextIndex === taskList.length) return;
+
+      const index = nextIndex;
+      nextIndex += 1;
+      new Promise((resolveTask) => resolveTask(taskList[index](signal))).then(
+        (val) => {
+          handleCompletion(
+            index,
+            mode === "settle-all" ? { status: "fulfilled", value: val } : val
+          );
+        },
+        (err) => {
+          if (mode === "fail-fast") {
+            finish(rej, err);
+          } else {
+            handleCompletion(index, { status: "rejected", reason: err });
+          }
+        }
+      );
+    };
+
+    if (signal?.aborted) {
+      handleAbort();
+      return;
+    }
+    signal?.addEventListener("abort", handleAbort);
+
+    if (taskList.length === 0) {
+      finish(res, results);
+      return;
+    }
+    for (let i = 0; i < Math.min(limit, taskList.length); i++) {
+      runNextTask();
+    }
+  });
+}
+
+Promise.myAllLimited = promisePool;
+
 Promise.myRace([
   new Promise((res) => setTimeout(() => res(0), 500)),
   Promise.resolve(5),
@@ -86,6 +184,11 @@ Promise.myAny([
   .then(console.log)
   .catch((error) => console.log("error:", error));
 
+Promise.myAny([
+  new Promise((_, rej) => setTimeout(() => rej(0), 500)),
+  Promise.reject(5),
+]).catch((error) => console.log("error:", error.errors));
+
 Promise.myAll([
   new Promise((res) => setTimeout(() => res(0), 500)),
   Promise.resolve(5),
@@ -113,3 +216,44 @@ Promise.myAllSettled([
 ])
   .then(console.log)
   .catch((error) => console.log("error: " + error));
+
+Promise.myAny([]).catch((error) => console.log("error:", error.errors));
+
+Promise.myAll(new Set([1, Promise.resolve(2)])).then(console.log);
+
+Promise.myAll([]).then(console.log);
+
+Promise.myAllSettled([]).then(console.log);
+
+const delayedTask = (value, delay) => () =>
+  new Promise((res) => {
+    console.log(`started task ${value}`);
+    setTimeout(() => res(value), delay);
+  });
+
+Promise.myAllLimited(
+  [
+    delayedTask("a", 300),
+    delayedTask("b", 100),
+    delayedTask("c", 100),
+    delayedTask("d", 100),
+  ],
+  2
+).then(console.log);
+
+promisePool([() => Promise.reject("rate limited"), delayedTask("f", 100)], 1, {
+  mode: "settle-all",
+}).then(console.log);
+
+const controller = new AbortController();
+promisePool([delayedTask("g", 100), delayedTask("h", 100)], 1, {
+  signal: controller.signal,
+}).catch((error) => console.log("error:", error.name));
+setTimeout(() => controller.abort(), 50);
+
+promisePool([delayedTask("i", 100)], 2.5).catch((error) =>
+  console.log(error.message)
+);
+promisePool([(signal) => signal.aborted], Infinity, {
+  signal: new AbortController().signal,
+}).then(console.log);
@@ -9,38 +9,149 @@ class MyPromise {
   #state = STATE.PENDING;
   #fulfilledCallbacks = [];
   #rejectedCallbacks = [];
+  #isHandled = false;
+
+  static onUnhandledRejection = null;
+  static onRejectionHandled = null;
+  static #pendingUnhandledRejections = new Set();
+  static #reportedUnhandledRejections = new WeakSet();
+
+  static #trackRejection(promise) {
+    if (MyPromise.#pendingUnhandledRejections.size === 0) {
+      setTimeout(() => MyPromise.#notifyUnhandledRejections(), 0);
+    }
+    MyPromise.#pendingUnhandledRejections.add(promise);
+  }
+
+  static #trackHandled(promise) {
+    if (MyPromise.#pendingUnhandledRejections.delete(promise)) return;
+    if (!MyPromise.#reportedUnhandledRejections.delete(promise)) return;
+
+    queueMicrotask(() => {
+      if (typeof MyPromise.onRejectionHandled === "function") {
+        MyPromise.onRejectionHandled(promise);
+      } else if (typeof process !== "undefined") {
+        process.emit("rejectionHandled", promise);
+      }
+    });
+  }
+
+  static #notifyUnhandledRejections() {
+    const promises = [...MyPromise.#pendingUnhandledRejections];
+    MyPromise.#pendingUnhandledRejections.clear();
+
+    promises.forEach((promise) => {
+      MyPromise.#reportedUnhandledRejections.add(promise);
+      if (typeof MyPromise.onUnhandledRejection === "function") {
+        MyPromise.onUnhandledRejection(promise.#value, promise);
+      } else if (
+        typeof process !== "undefined" &&
+        process.listenerCount("unhandledRejection") > 0
+      ) {
+        process.emit("unhandledRejection", promise.#value, promise);
+      } else {
+        console.error("Unhandled MyPromise rejection:", promise.#value);
+      }
+    });
+  }
+
+  #createResolvingFunctions() {
+    let isAlreadyResolved = false;
+
+    const resolve = (value) => {
+      if (isAlreadyResolved) return;
+      isAlreadyResolved = true;
+      this.#resolve(value);
+    };
+
+    const reject = (reason) => {
+      if (isAlreadyResolved) return;
+      isAlreadyResolved = true;
+      this.#reject(reason);
+    };
+
+    return { resolve, reject };
+  }
 
   #resolve(value) {
-    this.#value = value;
-    this.#state = STATE.FULFILLED;
-    this.#fulfilledCallbacks.forEach((callback) => callback());
+    if (value === this) {
+      this.#reject(new TypeError("Chaining cycle detected for MyPromise"));
+      return;
+    }
+
+    const isObjectOrFunction =
+      value !== null &&
+      (typeof value === "object" || typeof value === "function");
+    if (!isObjectOrFunction) {
+      this.#fulfill(value);
+      return;
+    }
+
+    let then;
+    try {
+      then = value.then;
+    } catch (error) {
+      this.#reject(error);
+      return;
+    }
+
+    if (typeof then !== "function") {
+      this.#fulfill(value);
+      return;
+    }
+
+    queueMicrotask(() => {
+      const { resolve, reject } = this.#createResolvingFunctions();
+      try {
+        then.call(value, resolve, reject);
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  #fulfill(value) {
+    this.#settle(STATE.FULFILLED, value, this.#fulfilledCallbacks);
   }
 
   #reject(value) {
+    this.#settle(STATE.REJECTED, value, this.#rejectedCallbacks);
+  }
+
+  #settle(state, value, callbacks) {
+    if (this.#state !== STATE.PENDING) return;
     this.#value = value;
-    this.#state = STATE.REJECTED;
-    this.#rejectedCallbacks.forEach((callback) => callback());
+    this.#state = state;
+    this.#fulfilledCallbacks = [];
+    this.#rejectedCallbacks = [];
+    if (state === STATE.REJECTED && !this.#isHandled) {
+      MyPromise.#trackRejection(this);
+    }
+    callbacks.forEach((callback) => callback());
   }
 
   constructor(executorFunc) {
+    const { resolve, reject } = this.#createResolvingFunctions();
     try {
-      executorFunc(
-        (val) => this.#resolve(val),
-        (val) => this.#reject(val)
-      );
+      executorFunc(resolve, reject);
     } catch (error) {
-      this.#reject(error);
+      reject(error);
     }
   }
 
   then(onFulfilled, onRejected) {
+    if (this.#state === STATE.REJECTED && !this.#isHandled) {
+      MyPromise.#trackHandled(this);
+    }
+    this.#isHandled = true;
+
     return new MyPromise((resolve, reject) => {
       const handleOnFullfill = () => {
-        if (!onFulfilled) {
-          return resolve(this.#value);
-        }
-
         queueMicrotask(() => {
+          if (typeof onFulfilled !== "function") {
+            return resolve(this.#value);
+          }
+
           try {
             resolve(onFulfilled(this.#value));
           } catch (error) {
@@ -50,11 +161,11 @@ class MyPromise {
       };
 
       const handleOnRejected = () => {
-        if (!onRejected) {
-          return reject(this.#value);
-        }
-
         queueMicrotask(() => {
+          if (typeof onRejected !== "function") {
+            return reject(this.#value);
+          }
+
           try {
             resolve(onRejected(this.#value));
           } catch (error) {
@@ -84,6 +195,20 @@ class MyPromise {
     return this.then(null, onRejected);
   }
 
+  finally(onFinally) {
+    if (typeof onFinally !== "function") {
+      return this.then(onFinally, onFinally);
+    }
+
+    return this.then(
+      (value) => MyPromise.resolve(onFinally()).then(() => value),
+      (reason) =>
+        MyPromise.resolve(onFinally()).then(() => {
+          throw reason;
+        })
+    );
+  }
+
   get state() {
     return this.#state;
   }
@@ -91,6 +216,118 @@ class MyPromise {
   get value() {
     return this.#value;
   }
+
+  static resolve(value) {
+    if (value instanceof MyPromise) {
+      return value;
+    }
+    return new MyPromise((resolve) => resolve(value));
+  }
+
+  static reject(reason) {
+    return new MyPromise((_, reject) => reject(reason));
+  }
+
+  static withResolvers() {
+    let resolve;
+    let reject;
+    const promise = new MyPromise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  }
+
+  static all(iterable) {
+    return new MyPromise((resolve, reject) => {
+      const values = [];
+      let pendingCount = 1;
+
+      for (const item of iterable) {
+        const index = values.length;
+        values.push(undefined);
+        pendingCount += 1;
+        MyPromise.resolve(item).then((value) => {
+          values[index] = value;
+          pendingCount -= 1;
+          if (pendingCount === 0) {
+            resolve(values);
+          }
+        }, reject);
+      }
+
+      pendingCount -= 1;
+      if (pendingCount === 0) {
+        resolve(values);
+      }
+    });
+  }
+
+  static allSettled(iterable) {
+    return new MyPromise((resolve) => {
+      const results = [];
+      let pendingCount = 1;
+
+      const settle = (index, result) => {
+        results[index] = result;
+        pendingCount -= 1;
+        if (pendingCount === 0) {
+          resolve(results);
+        }
+      };
+
+      for (const item of iterable) {
+        const index = results.length;
+        results.push(undefined);
+        pendingCount += 1;
+        MyPromise.resolve(item).then(
+          (value) => settle(index, { status: STATE.FULFILLED, value }),
+          (reason) => settle(index, { status: STATE.REJECTED, reason })
+        );
+      }
+
+      pendingCount -= 1;
+      if (pendingCount === 0) {
+        resolve(results);
+      }
+    });
+  }
+
+  static race(iterable) {
+    return new MyPromise((resolve, reject) => {
+      for (const item of iterable) {
+        MyPromise.resolve(item).then(resolve, reject);
+      }
+    });
+  }
+
+  static any(iterable) {
+    return new MyPromise((resolve, reject) => {
+      const errors = [];
+      let pendingCount = 1;
+
+      const rejectWithAllErrors = () =>
+        reject(new AggregateError(errors, "All promises were rejected"));
+
+      for (const item of iterable) {
+        const index = errors.length;
+        errors.push(undefined);
+        pendingCount += 1;
+        MyPromise.resolve(item).then(resolve, (reason) => {
+          errors[index] = reason;
+          pendingCount -= 1;
+          if (pendingCount === 0) {
+            rejectWithAllErrors();
+          }
+        });
+      }
+
+      pendingCount -= 1;
+      if (pendingCount === 0) {
+        rejectWithAllErrors();
+      }
+    });
+  }
 }
 
 /* Sample Usage 1*/
@@ -147,3 +384,491 @@ class MyPromise {
 // });
 
 // console.log("end");
+
+/* Conformance Checks (run with `node promises.js`) */
+const conformanceChecks = [];
+
+function check(description, run) {
+  conformanceChecks.push({ description, run });
+}
+
+function assertEqual(actual, expected, message) {
+  if (!Object.is(actual, expected)) {
+    throw new Error(
+      `${message}: expected ${String(expected)}, got ${String(actual)}`
+    );
+  }
+}
+
+function expectSettlement(promise, state, value, done) {
+  promise.then(
+    (val) => {
+      try {
+        assertEqual("fulfilled", state, "settled state");
+        assertEqual(val, value, "fulfillment value");
+        done();
+      } catch (error) {
+        done(error);
+      }
+    },
+    (reason) => {
+      try {
+        assertEqual("rejected", state, "settled state");
+        assertEqual(reason, value, "rejection reason");
+        done();
+      } catch (error) {
+        done(error);
+      }
+    }
+  );
+}
+
+check("only the first resolve call settles the promise", (done) => {
+  const promise = new MyPromise((res) => {
+    res(1);
+    res(2);
+  });
+  expectSettlement(promise, "fulfilled", 1, done);
+});
+
+check("reject after resolve is ignored", (done) => {
+  const promise = new MyPromise((res, rej) => {
+    res(1);
+    rej(2);
+  });
+  expectSettlement(promise, "fulfilled", 1, done);
+});
+
+check("executor throwing after resolve is ignored", (done) => {
+  const promise = new MyPromise((res) => {
+    res(1);
+    throw new Error("ignored");
+  });
+  expectSettlement(promise, "fulfilled", 1, done);
+});
+
+check("resolving with a pending thenable locks the promise in", (done) => {
+  let resolveThenable;
+  const thenable = {
+    then(onFulfilled) {
+      resolveThenable = onFulfilled;
+    },
+  };
+  const promise = new MyPromise((res, rej) => {
+    res(thenable);
+    rej("ignored");
+  });
+  setTimeout(() => {
+    if (promise.state !== "pending") {
+      done(new Error(`settled early as ${promise.state}`));
+    }
+    resolveThenable("adopted");
+  }, 0);
+  expectSettlement(promise, "fulfilled", "adopted", done);
+});
+
+check("resolving a promise with itself rejects with a TypeError", (done) => {
+  const promise = new MyPromise((res) => res()).then(() => promise);
+  promise.then(
+    () => done(new Error("expected a rejection")),
+    (reason) => done(reason instanceof TypeError ? undefined : reason)
+  );
+});
+
+check("adopts a MyPromise returned from a then callback", (done) => {
+  const promise = new MyPromise((res) => res(1)).then(
+    (val) => new MyPromise((res) => setTimeout(() => res(val + 1), 10))
+  );
+  expectSettlement(promise, "fulfilled", 2, done);
+});
+
+check("adopts a rejecting thenable returned from a then callback", (done) => {
+  const promise = new MyPromise((res) => res()).then(() => ({
+    then(_, onRejected) {
+      onRejected("thenable reason");
+    },
+  }));
+  expectSettlement(promise, "rejected", "thenable reason", done);
+});
+
+check("recursively adopts nested thenables", (done) => {
+  const nested = (value, depth) => ({
+    then(onFulfilled) {
+      onFulfilled(depth === 0 ? value : nested(value, depth - 1));
+    },
+  });
+  const promise = new MyPromise((res) => res(nested("deep", 3)));
+  expectSettlement(promise, "fulfilled", "deep", done);
+});
+
+check("a thenable's first settlement call wins", (done) => {
+  const promise = new MyPromise((res) =>
+    res({
+      then(onFulfilled, onRejected) {
+        onFulfilled("first");
+        onRejected("second");
+        onFulfilled("third");
+        throw new Error("ignored");
+      },
+    })
+  );
+  expectSettlement(promise, "fulfilled", "first", done);
+});
+
+check("a throwing then getter rejects with the thrown error", (done) => {
+  const error = new Error("getter");
+  const thenable = Object.defineProperty({}, "then", {
+    get() {
+      throw error;
+    },
+  });
+  expectSettlement(
+    new MyPromise((res) => res(thenable)),
+    "rejected",
+    error,
+    done
+  );
+});
+
+check("the then getter is read only once", (done) => {
+  let reads = 0;
+  const thenable = Object.defineProperty({}, "then", {
+    get() {
+      reads += 1;
+      return (onFulfilled) => onFulfilled(reads);
+    },
+  });
+  expectSettlement(new MyPromise((res) => res(thenable)), "fulfilled", 1, done);
+});
+
+check("objects with a non-function then are fulfillment values", (done) => {
+  const value = { then: 5 };
+  expectSettlement(
+    new MyPromise((res) => res(value)),
+    "fulfilled",
+    value,
+    done
+  );
+});
+
+check("callbacks run asynchronously on already settled promises", (done) => {
+  let isSynchronous = true;
+  new MyPromise((_, rej) => rej("reason")).then(null, () => {
+    done(isSynchronous ? new Error("callback ran synchronously") : undefined);
+  });
+  isSynchronous = false;
+});
+
+check("pass-through without handlers is asynchronous", (done) => {
+  const order = [];
+  const promise = new MyPromise((res) => res(1));
+  promise.then().then(() => order.push("pass-through"));
+  promise.then(() => order.push("direct"));
+  setTimeout(() => {
+    try {
+      assertEqual(order.join(), "direct,pass-through", "callback order");
+      done();
+    } catch (error) {
+      done(error);
+    }
+  }, 0);
+});
+
+check("non-function handlers are ignored", (done) => {
+  const promise = new MyPromise((_, rej) => rej("reason")).then(5, "nope");
+  expectSettlement(promise, "rejected", "reason", done);
+});
+
+check("handlers are called without a this value", (done) => {
+  new MyPromise((res) => res()).then(function () {
+    "use strict";
+    done(this === undefined ? undefined : new Error("this was bound"));
+  });
+});
+
+check("handlers run in registration order", (done) => {
+  const order = [];
+  const promise = new MyPromise((res) => setTimeout(res, 0));
+  promise.then(() => order.push(1));
+  promise.then(() => order.push(2));
+  promise.then(() => {
+    order.push(3);
+    done(order.join() === "1,2,3" ? undefined : new Error(order.join()));
+  });
+});
+
+check("MyPromise.resolve returns MyPromise instances unchanged", (done) => {
+  const promise = MyPromise.resolve(1);
+  assertEqual(MyPromise.resolve(promise), promise, "resolved instance");
+  expectSettlement(promise, "fulfilled", 1, done);
+});
+
+check("MyPromise.resolve adopts native promises", (done) => {
+  const promise = MyPromise.resolve(Promise.resolve("native"));
+  expectSettlement(promise, "fulfilled", "native", done);
+});
+
+check("native await adopts MyPromise", (done) => {
+  (async () => {
+    assertEqual(await MyPromise.resolve("awaited"), "awaited", "await");
+  })().then(() => done(), done);
+});
+
+check("MyPromise.reject does not unwrap thenables", (done) => {
+  const reason = MyPromise.resolve(1);
+  expectSettlement(MyPromise.reject(reason), "rejected", reason, done);
+});
+
+check("MyPromise.withResolvers exposes the resolving functions", (done) => {
+  const { promise, resolve, reject } = MyPromise.withResolvers();
+  resolve("outside");
+  reject("ignored");
+  expectSettlement(promise, "fulfilled", "outside", done);
+});
+
+check("finally passes the original value through", (done) => {
+  let argumentCount;
+  MyPromise.resolve(1)
+    .finally((...args) => {
+      argumentCount = args.length;
+      return 2;
+    })
+    .then((value) => {
+      assertEqual(argumentCount, 0, "finally arguments");
+      assertEqual(value, 1, "fulfillment value");
+    })
+    .then(() => done(), done);
+});
+
+check("finally waits for a returned promise", (done) => {
+  const order = [];
+  MyPromise.reject("reason")
+    .finally(
+      () =>
+        new MyPromise((res) =>
+          setTimeout(() => {
+            order.push("cleanup");
+            res();
+          }, 10)
+        )
+    )
+    .catch((reason) => {
+      order.push(reason);
+      done(order.join() === "cleanup,reason" ? undefined : new Error(order));
+    });
+});
+
+check("finally rejects when its callback throws", (done) => {
+  const promise = MyPromise.resolve(1).finally(() => {
+    throw "cleanup failed";
+  });
+  expectSettlement(promise, "rejected", "cleanup failed", done);
+});
+
+check("MyPromise.all keeps input order across iterables", (done) => {
+  function* values() {
+    yield new MyPromise((res) => setTimeout(() => res("slow"), 10));
+    yield { then: (res) => res("thenable") };
+    yield "plain";
+  }
+  MyPromise.all(values()).then((results) => {
+    done(
+      results.join() === "slow,thenable,plain"
+        ? undefined
+        : new Error(results.join())
+    );
+  });
+});
+
+check("MyPromise.all resolves empty inputs immediately", (done) => {
+  const promise = MyPromise.all(new Set());
+  promise.then((results) => {
+    done(Array.isArray(results) && results.length === 0 ? undefined : results);
+  });
+});
+
+check("MyPromise.all rejects with the first rejection", (done) => {
+  const promise = MyPromise.all([
+    new MyPromise((_, rej) => setTimeout(() => rej("late"), 10)),
+    MyPromise.reject("early"),
+  ]);
+  expectSettlement(promise, "rejected", "early", done);
+});
+
+check("MyPromise.all rejects when iteration throws", (done) => {
+  const error = new Error("not iterable");
+  const iterable = {
+    [Symbol.iterator]() {
+      throw error;
+    },
+  };
+  expectSettlement(MyPromise.all(iterable), "rejected", error, done);
+});
+
+check("MyPromise.allSettled reports every outcome", (done) => {
+  MyPromise.allSettled([MyPromise.resolve(1), MyPromise.reject(2), 3]).then(
+    (results) => {
+      const summary = results
+        .map((result) => `${result.status}:${result.value ?? result.reason}`)
+        .join();
+      done(
+        summary === "fulfilled:1,rejected:2,fulfilled:3"
+          ? undefined
+          : new Error(summary)
+      );
+    }
+  );
+});
+
+check("MyPromise.race settles with the first settled input", (done) => {
+  const promise = MyPromise.race([
+    new MyPromise((res) => setTimeout(() => res("slow"), 10)),
+    new MyPromise((_, rej) => setTimeout(() => rej("fast"), 0)),
+  ]);
+  expectSettlement(promise, "rejected", "fast", done);
+});
+
+check("MyPromise.any fulfills with the first fulfillment", (done) => {
+  const promise = MyPromise.any([
+    MyPromise.reject("first"),
+    new MyPromise((res) => setTimeout(() => res("second"), 10)),
+  ]);
+  expectSettlement(promise, "fulfilled", "second", done);
+});
+
+check("MyPromise.any rejects with an AggregateError", (done) => {
+  MyPromise.any([
+    new MyPromise((_, rej) => setTimeout(() => rej("slow"), 10)),
+    MyPromise.reject("fast"),
+  ]).catch((error) => {
+    const isAggregate = error instanceof AggregateError;
+    const errors = isAggregate ? error.errors.join() : "";
+    done(errors === "slow,fast" ? undefined : new Error(String(error)));
+  });
+});
+
+check("MyPromise.any rejects empty inputs immediately", (done) => {
+  MyPromise.any([]).catch((error) => {
+    done(error instanceof AggregateError ? undefined : error);
+  });
+});
+
+function withRejectionHooks(done, run) {
+  const unhandled = [];
+  const handled = [];
+  MyPromise.onUnhandledRejection = (reason, promise) =>
+    unhandled.push({ reason, promise });
+  MyPromise.onRejectionHandled = (promise) => handled.push(promise);
+
+  const finish = (error) => {
+    MyPromise.onUnhandledRejection = null;
+    MyPromise.onRejectionHandled = null;
+    done(error);
+  };
+
+  try {
+    run({ unhandled, handled }, finish);
+  } catch (error) {
+    finish(error);
+  }
+}
+
+check("reports rejections without handlers once", (done) => {
+  withRejectionHooks(done, ({ unhandled }, finish) => {
+    const promise = MyPromise.reject("lost");
+    setTimeout(() => {
+      try {
+        assertEqual(unhandled.length, 1, "reported rejections");
+        assertEqual(unhandled[0].promise, promise, "reported promise");
+        assertEqual(unhandled[0].reason, "lost", "reported reason");
+        finish();
+      } catch (error) {
+        finish(error);
+      }
+    }, 10);
+  });
+});
+
+check("does not report rejections handled within microtasks", (done) => {
+  withRejectionHooks(done, ({ unhandled }, finish) => {
+    const promise = MyPromise.reject("caught");
+    MyPromise.resolve()
+      .then(() => {})
+      .then(() => promise.catch(() => {}));
+    setTimeout(() => {
+      finish(unhandled.length === 0 ? undefined : new Error("reported"));
+    }, 10);
+  });
+});
+
+check("reports the end of a chain without a rejection handler", (done) => {
+  withRejectionHooks(done, ({ unhandled }, finish) => {
+    const source = MyPromise.reject("propagated");
+    const derived = source.then(() => {});
+    setTimeout(() => {
+      try {
+        assertEqual(unhandled.length, 1, "reported rejections");
+        assertEqual(unhandled[0].promise, derived, "reported promise");
+        finish();
+      } catch (error) {
+        finish(error);
+      }
+    }, 10);
+  });
+});
+
+check("raises rejection handled when a handler is attached late", (done) => {
+  withRejectionHooks(done, ({ unhandled, handled }, finish) => {
+    const promise = MyPromise.reject("late");
+    setTimeout(() => {
+      promise.catch(() => {});
+      promise.catch(() => {});
+      setTimeout(() => {
+        try {
+          assertEqual(unhandled.length, 1, "reported rejections");
+          assertEqual(handled.length, 1, "handled notifications");
+          assertEqual(handled[0], promise, "handled promise");
+          finish();
+        } catch (error) {
+          finish(error);
+        }
+      }, 10);
+    }, 10);
+  });
+});
+
+function runConformanceChecks(index = 0, failures = 0) {
+  if (index === conformanceChecks.length) {
+    const passed = conformanceChecks.length - failures;
+    console.log(
+      `${passed}/${conformanceChecks.length} conformance checks passed`
+    );
+    if (failures > 0) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  const { description, run } = conformanceChecks[index];
+  let isFinished = false;
+  const finish = (error) => {
+    if (isFinished) return;
+    isFinished = true;
+    clearTimeout(timeoutId);
+    if (error) {
+      console.error(`✗ ${description}: ${error.message ?? error}`);
+    } else {
+      console.log(`✓ ${description}`);
+    }
+    runConformanceChecks(index + 1, failures + (error ? 1 : 0));
+  };
+  const timeoutId = setTimeout(() => finish(new Error("timed out")), 500);
+
+  try {
+    run(finish);
+  } catch (error) {
+    finish(error);
+  }
+}
+
+runConformanceChecks();
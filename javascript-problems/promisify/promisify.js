@@ -1,9 +1,13 @@
 function promisify(callback) {
+  if (typeof callback[promisify.custom] === "function") {
+    return callback[promisify.custom];
+  }
+
   return function (...args) {
     return new Promise((res, rej) => {
-      function handleErrorAndValue(error, value) {
+      function handleErrorAndValue(error, ...values) {
         if (error == null) {
-          res(value);
+          res(values.length > 1 ? values : values[0]);
         } else {
           rej(error);
         }
@@ -14,6 +18,90 @@ function promisify(callback) {
   };
 }
 
+promisify.custom = Symbol.for("nodejs.util.promisify.custom");
+
+function promisifyAll(obj) {
+  const promisified = {};
+  let current = obj;
+  while (
+    current != null &&
+    current !== Object.prototype &&
+    current !== Function.prototype
+  ) {
+    for (const key of Object.getOwnPropertyNames(current)) {
+      const { value } = Object.getOwnPropertyDescriptor(current, key);
+      if (
+        key === "constructor" ||
+        typeof value !== "function" ||
+        Object.hasOwn(promisified, key)
+      ) {
+        continue;
+      }
+      const promisifiedMethod = promisify(value);
+      promisified[key] = (...args) => promisifiedMethod.apply(obj, args);
+    }
+    current = Object.getPrototypeOf(current);
+  }
+  return promisified;
+}
+
+function withTimeout(callback, ms) {
+  return function (...args) {
+    return new Promise((res, rej) => {
+      const timeoutId = setTimeout(() => {
+        rej(new DOMException(`Timed out after ${ms}ms`, "TimeoutError"));
+      }, ms);
+
+      Promise.resolve()
+        .then(() => callback.apply(this, args))
+        .then(res, rej)
+        .finally(() => clearTimeout(timeoutId));
+    });
+  };
+}
+
+function getRetryDelay(attempt, { backoff, delay, maxDelay, jitter }) {
+  const baseDelay =
+    backoff === "exponential" ? delay * 2 ** attempt : delay * (attempt + 1);
+  const cappedDelay = Math.min(baseDelay, maxDelay);
+  return jitter ? Math.random() * cappedDelay : cappedDelay;
+}
+
+function retry(
+  callback,
+  {
+    retries = 3,
+    backoff = "exponential",
+    delay = 100,
+    maxDelay = Infinity,
+    jitter = false,
+    shouldRetry = () => true,
+  } = {}
+) {
+  if (backoff !== "exponential" && backoff !== "linear") {
+    throw new TypeError(`unknown backoff ${backoff}`);
+  }
+
+  return async function (...args) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await callback.apply(this, args);
+      } catch (error) {
+        if (attempt >= retries || !(await shouldRetry(error, attempt + 1))) {
+          throw error;
+        }
+        const retryDelay = getRetryDelay(attempt, {
+          backoff,
+          delay,
+          maxDelay,
+          jitter,
+        });
+        await new Promise((res) => setTimeout(res, retryDelay));
+      }
+    }
+  };
+}
+
 /* Sample Usage */
 function adder(x, y, handleErrorAndValue) {
   const value = x + y;
@@ -30,3 +118,46 @@ const promisifiedAdder = promisify(adder);
 promisifiedAdder(1, 2).then(console.log).catch(console.error);
 
 promisifiedAdder(1, "foobar").then(console.log).catch(console.error);
+
+function divider(x, y, handleErrorAndValue) {
+  handleErrorAndValue(null, Math.floor(x / y), x % y);
+}
+
+promisify(divider)(7, 2).then(console.log); // [3, 1]
+
+function sleep(ms, handleErrorAndValue) {
+  setTimeout(() => handleErrorAndValue(null, ms), ms);
+}
+sleep[promisify.custom] = (ms) =>
+  new Promise((res) => setTimeout(() => res(`slept ${ms}ms`), ms));
+
+promisify(sleep)(10).then(console.log); // slept 10ms
+
+const calculator = {
+  offset: 100,
+  add(x, handleErrorAndValue) {
+    handleErrorAndValue(null, this.offset + x);
+  },
+};
+
+promisifyAll(calculator).add(5).then(console.log); // 105
+
+withTimeout(
+  promisify(sleep),
+  50
+)(200).catch((error) => console.error(error.name, error.message));
+
+let attemptCount = 0;
+const flakyAdder = retry(
+  (x, y) => {
+    attemptCount += 1;
+    return attemptCount < 3
+      ? Promise.reject(new Error(`attempt ${attemptCount} failed`))
+      : promisifiedAdder(x, y);
+  },
+  { retries: 5, backoff: "linear", delay: 10, jitter: true }
+);
+
+flakyAdder(2, 3).then((value) =>
+  console.log(`${value} after ${attemptCount} attempts`)
+);
@@ -0,0 +1,255 @@
+const { fork } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+const TEST_FILE_SUFFIX = ".test.js";
+const WATCH_DEBOUNCE_DELAY = 100;
+const REPORTER_NAMES = ["console", "tap", "json", "junit"];
+const DEFAULT_ROOT = path.resolve(__dirname, "..");
+
+function parseArgs(args) {
+  const options = {
+    grep: null,
+    reporter: "console",
+    output: null,
+    watch: false,
+    updateSnapshots: false,
+    ci: process.env.CI != null && !["", "0", "false"].includes(process.env.CI),
+    child: null,
+    roots: [],
+  };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--grep") {
+      options.grep = args[++i];
+    } else if (arg === "--reporter") {
+      options.reporter = args[++i];
+    } else if (arg === "--output") {
+      options.output = args[++i];
+    } else if (arg === "--watch") {
+      options.watch = true;
+    } else if (arg === "--update-snapshots" || arg === "--updateSnapshot") {
+      options.updateSnapshots = true;
+    } else if (arg === "--child") {
+      options.child = args[++i];
+    } else if (arg.startsWith("--")) {
+      throw new Error(`unknown option ${arg}`);
+    } else {
+      options.roots.push(path.resolve(arg));
+    }
+  }
+
+  if (options.grep !== null) {
+    if (options.grep === undefined) {
+      throw new Error("--grep needs a pattern");
+    }
+    try {
+      new RegExp(options.grep);
+    } catch (error) {
+      throw new Error(
+        `invalid --grep pattern ${options.grep}: ${error.message}`
+      );
+    }
+  }
+  if (!REPORTER_NAMES.includes(options.reporter)) {
+    throw new Error(
+      `unknown reporter ${
+        options.reporter
+      }, expected one of ${REPORTER_NAMES.join(", ")}`
+    );
+  }
+  if (options.roots.length === 0) {
+    options.roots.push(DEFAULT_ROOT);
+  }
+  const missingRoot = options.roots.find((root) => !fs.existsSync(root));
+  if (missingRoot != null) {
+    throw new Error(`no such file or directory ${missingRoot}`);
+  }
+  return options;
+}
+
+function findTestFiles(root) {
+  if (!fs.statSync(root).isDirectory()) {
+    return root.endsWith(TEST_FILE_SUFFIX) ? [root] : [];
+  }
+
+  const testFiles = [];
+  for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+    if (entry.name.startsWith(".") || entry.name === "node_modules") continue;
+    const entryPath = path.join(root, entry.name);
+    if (entry.isDirectory()) {
+      testFiles.push(...findTestFiles(entryPath));
+    } else if (entry.name.endsWith(TEST_FILE_SUFFIX)) {
+      testFiles.push(entryPath);
+    }
+  }
+  return testFiles.sort();
+}
+
+async function runChild(testFile, options) {
+  const framework = require("./testing-framework.js");
+  framework.configure({
+    grep: options.grep,
+    autoRun: false,
+    testPath: testFile,
+    updateSnapshots: options.updateSnapshots,
+    ci: options.ci,
+  });
+  if (options.reporter !== "console") {
+    framework.configure({ reporter: null });
+  }
+  Object.assign(globalThis, framework);
+
+  let results;
+  try {
+    require(testFile);
+    results = await framework.runTests();
+  } catch (error) {
+    const message = error instanceof Error ? error.stack : String(error);
+    console.error(`failed loading test file ${testFile} with error ${message}`);
+    results = {
+      tests: [
+        {
+          title: "loading test file",
+          ancestorTitles: [],
+          fullName: "loading test file",
+          status: "failed",
+          duration: 0,
+          error: message,
+        },
+      ],
+    };
+  }
+  process.send({ tests: results.tests }, () => process.exit());
+}
+
+function runTestFile(testFile, options) {
+  const childArgs = ["--child", testFile, "--reporter", options.reporter];
+  if (options.grep != null) {
+    childArgs.push("--grep", options.grep);
+  }
+  if (options.updateSnapshots) {
+    childArgs.push("--update-snapshots");
+  }
+  const stdout = options.reporter === "console" ? "inherit" : 2;
+
+  return new Promise((res) => {
+    let tests = null;
+    const child = fork(__filename, childArgs, {
+      stdio: ["inherit", stdout, "inherit", "ipc"],
+    });
+    child.on("message", (message) => {
+      tests = message.tests;
+    });
+    child.on("exit", (code, signal) => {
+      res(
+        tests ?? [
+          {
+            title: "running test file",
+            ancestorTitles: [],
+            fullName: "running test file",
+            status: "failed",
+            duration: 0,
+            error: `test process exited early with ${signal ?? `code ${code}`}`,
+          },
+        ]
+      );
+    });
+  });
+}
+
+async function runAll(options) {
+  const testFiles = options.roots.flatMap(findTestFiles);
+  if (testFiles.length === 0) {
+    console.error(
+      `no ${TEST_FILE_SUFFIX} files found in ${options.roots.join(", ")}`
+    );
+    return false;
+  }
+
+  const fileResults = [];
+  for (const testFile of testFiles) {
+    if (options.reporter === "console") {
+      console.log(`running ${path.relative(process.cwd(), testFile)}`);
+    }
+    const tests = await runTestFile(testFile, options);
+    fileResults.push({ file: path.relative(process.cwd(), testFile), tests });
+  }
+
+  const { reporters } = require("./testing-framework.js");
+  const tests = fileResults.flatMap((fileResult) => fileResult.tests);
+  const failedCount = tests.filter((test) => test.status === "failed").length;
+  if (options.reporter === "console") {
+    const countStatus = (status) =>
+      tests.filter((test) => test.status === status).length;
+    console.log(
+      `${testFiles.length} test files ${countStatus(
+        "passed"
+      )} passed ${failedCount} failed ${countStatus("skipped")} skipped ${
+        tests.length
+      } total`
+    );
+  } else {
+    const report = reporters[options.reporter](fileResults);
+    if (options.output != null) {
+      fs.writeFileSync(options.output, `${report}\n`);
+    } else {
+      console.log(report);
+    }
+  }
+  return failedCount === 0;
+}
+
+function watch(options) {
+  let timeoutId = null;
+  let isRunning = false;
+  let hasPendingRun = false;
+
+  const rerun = async () => {
+    if (isRunning) {
+      hasPendingRun = true;
+      return;
+    }
+    isRunning = true;
+    await runAll(options);
+    isRunning = false;
+    console.error("watching for changes");
+    if (hasPendingRun) {
+      hasPendingRun = false;
+      rerun();
+    }
+  };
+
+  options.roots.forEach((root) => {
+    fs.watch(root, { recursive: true }, (eventType, fileName) => {
+      if (fileName == null || !fileName.endsWith(".js")) return;
+      if (fileName.includes("__snapshots__")) return;
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(rerun, WATCH_DEBOUNCE_DELAY);
+    });
+  });
+  rerun();
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (options.child != null) {
+    runChild(options.child, options);
+  } else if (options.watch) {
+    watch(options);
+  } else {
+    runAll(options).then((isSuccessful) => {
+      process.exitCode = isSuccessful ? 0 : 1;
+    });
+  }
+}
+
+main();
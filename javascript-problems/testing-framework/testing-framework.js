@@ -1,76 +1,1852 @@
-function describe(testSuiteName, func) {
-  console.log(`beginning test suite ${testSuiteName}`);
+const DEFAULT_TIMEOUT = 5000;
+const FAKE_FRAME_DURATION = 16;
+const MAX_FAKE_TIMER_RUNS = 10000;
+
+const realTimers = {
+  setTimeout: globalThis.setTimeout,
+  clearTimeout: globalThis.clearTimeout,
+  setInterval: globalThis.setInterval,
+  clearInterval: globalThis.clearInterval,
+  requestAnimationFrame: globalThis.requestAnimationFrame,
+  cancelAnimationFrame: globalThis.cancelAnimationFrame,
+  queueMicrotask: globalThis.queueMicrotask,
+  dateNow: Date.now,
+};
+
+function createSuite(name, parent, mode) {
+  return {
+    name,
+    parent,
+    mode,
+    children: [],
+    hooks: { beforeAll: [], beforeEach: [], afterEach: [], afterAll: [] },
+    collectionError: null,
+  };
+}
+
+const rootSuite = createSuite(null, null, "normal");
+let currentSuite = rootSuite;
+let hasFocusedTests = false;
+let isRunScheduled = false;
+
+function scheduleRun() {
+  if (isRunScheduled || !runOptions.autoRun) return;
+  isRunScheduled = true;
+  realTimers.setTimeout(runTests, 0);
+}
+
+function addSuite(testSuiteName, func, mode) {
+  const suite = createSuite(testSuiteName, currentSuite, mode);
+  hasFocusedTests ||= mode === "only";
+  currentSuite.children.push(suite);
+  currentSuite = suite;
   try {
     func();
-    console.log(`successfully completed test suite ${testSuiteName}`);
   } catch (error) {
-    console.error(
-      `failed running test suite ${testSuiteName} on test case ${error.testCaseName} with error message ${error.errorMessage}`
+    suite.collectionError = error;
+  } finally {
+    currentSuite = suite.parent;
+  }
+  scheduleRun();
+}
+
+function addTest(testCaseName, func, timeout, mode) {
+  hasFocusedTests ||= mode === "only";
+  currentSuite.children.push({ name: testCaseName, func, timeout, mode });
+  scheduleRun();
+}
+
+function describe(testSuiteName, func) {
+  addSuite(testSuiteName, func, "normal");
+}
+
+describe.only = (testSuiteName, func) => addSuite(testSuiteName, func, "only");
+describe.skip = (testSuiteName, func) => addSuite(testSuiteName, func, "skip");
+
+function it(testCaseName, func, timeout = DEFAULT_TIMEOUT) {
+  addTest(testCaseName, func, timeout, "normal");
+}
+
+it.only = (testCaseName, func, timeout = DEFAULT_TIMEOUT) =>
+  addTest(testCaseName, func, timeout, "only");
+it.skip = (testCaseName, func, timeout = DEFAULT_TIMEOUT) =>
+  addTest(testCaseName, func, timeout, "skip");
+
+function beforeAll(func, timeout = DEFAULT_TIMEOUT) {
+  currentSuite.hooks.beforeAll.push({ func, timeout });
+}
+
+function beforeEach(func, timeout = DEFAULT_TIMEOUT) {
+  currentSuite.hooks.beforeEach.push({ func, timeout });
+}
+
+function afterEach(func, timeout = DEFAULT_TIMEOUT) {
+  currentSuite.hooks.afterEach.push({ func, timeout });
+}
+
+function afterAll(func, timeout = DEFAULT_TIMEOUT) {
+  currentSuite.hooks.afterAll.push({ func, timeout });
+}
+
+function runWithTimeout(func, timeout) {
+  return new Promise((res, rej) => {
+    const timeoutId = realTimers.setTimeout(
+      () => rej(`exceeded timeout of ${timeout} ms`),
+      timeout
     );
+    Promise.resolve()
+      .then(func)
+      .then(res, rej)
+      .finally(() => realTimers.clearTimeout(timeoutId));
+  });
+}
+
+async function runHooks(hooks) {
+  for (const { func, timeout } of hooks) {
+    await runWithTimeout(func, timeout);
+  }
+}
+
+function getErrorMessage(error) {
+  return error instanceof Error ? error.message : String(error);
+}
+
+function getSuiteChain(suite) {
+  const chain = [];
+  for (let current = suite; current != null; current = current.parent) {
+    chain.unshift(current);
   }
+  return chain;
+}
+
+function getAncestorTitles(suite) {
+  return getSuiteChain(suite)
+    .filter((s) => s !== rootSuite)
+    .map((s) => s.name);
+}
+
+function isSkipped(node, isParentSkipped, isParentFocused) {
+  if (isParentSkipped || node.mode === "skip") return true;
+  return hasFocusedTests && !isParentFocused && !hasFocusedChild(node);
+}
+
+function hasFocusedChild(node) {
+  if (node.mode === "only") return true;
+  return node.children?.some(hasFocusedChild) ?? false;
+}
+
+function countTests(node) {
+  if (node.children == null) return 1;
+  return node.children.reduce((count, child) => count + countTests(child), 0);
+}
+
+function matchesGrep(test, suite) {
+  if (runOptions.grep == null) return true;
+  const fullName = [...getAncestorTitles(suite), test.name].join(" ");
+  return new RegExp(runOptions.grep).test(fullName);
 }
 
-function it(testCaseName, func) {
-  console.log(`beginning test case ${testCaseName}`);
+const consoleReporter = {
+  onSuiteStart(suite) {
+    console.log(`beginning test suite ${suite.name}`);
+  },
+
+  onTestStart(test) {
+    console.log(`beginning test case ${test.name}`);
+  },
+
+  onTestEnd(result) {
+    if (result.status === "passed") {
+      console.log(`successfully completed test case ${result.title}`);
+    } else if (result.status === "skipped") {
+      console.log(`skipped test case ${result.title}`);
+    } else {
+      console.error(
+        `failed running test suite ${
+          result.ancestorTitles.at(-1) ?? "root"
+        } on test case ${result.title} with error message ${result.error}`
+      );
+    }
+  },
+
+  onSuiteError(suite, hookName, error) {
+    console.error(
+      hookName == null
+        ? `failed running test suite ${suite.name} with error message ${error}`
+        : `failed running ${hookName} hook in test suite ${
+            suite.name ?? "root"
+          } with error message ${error}`
+    );
+  },
+
+  onSuiteEnd(suite, failedCount) {
+    if (failedCount === 0) {
+      console.log(`successfully completed test suite ${suite.name}`);
+    } else {
+      console.error(
+        `completed test suite ${suite.name} with ${failedCount} ${
+          failedCount === 1 ? "failure" : "failures"
+        }`
+      );
+    }
+  },
+
+  onRunEnd(results) {
+    const total = results.passed + results.failed + results.skipped;
+    console.log(
+      `${results.passed} passed ${results.failed} failed ${results.skipped} skipped ${total} total`
+    );
+    const { added, updated, removed } = results.snapshots;
+    if (added + updated + removed > 0) {
+      console.log(
+        `${added} snapshots written ${updated} updated ${removed} removed`
+      );
+    }
+  },
+};
+
+const runOptions = {
+  grep: null,
+  reporter: consoleReporter,
+  autoRun: true,
+  testPath: null,
+  updateSnapshots: false,
+  ci: false,
+};
+
+function configure(options) {
+  Object.assign(runOptions, options);
+}
+
+function recordResult(results, result) {
+  results[result.status] += 1;
+  results.tests.push(result);
+  runOptions.reporter?.onTestEnd?.(result);
+}
+
+function createResult(title, suite, status, duration, error) {
+  const ancestorTitles = getAncestorTitles(suite);
+  return {
+    title,
+    ancestorTitles,
+    fullName: [...ancestorTitles, title].join(" "),
+    status,
+    duration,
+    error: error == null ? null : getErrorMessage(error),
+  };
+}
+
+async function runTest(test, suite, results, isTestSkipped) {
+  if (isTestSkipped || !matchesGrep(test, suite)) {
+    recordResult(results, createResult(test.name, suite, "skipped", 0, null));
+    return;
+  }
+
+  runOptions.reporter?.onTestStart?.(test);
+  snapshotState.currentTestName = [...getAncestorTitles(suite), test.name].join(
+    " "
+  );
+  const startTime = realTimers.dateNow();
+  const suiteChain = getSuiteChain(suite);
+  let testError = null;
   try {
-    func();
-    console.log(`successfully completed test case ${testCaseName}`);
-  } catch (errorMessage) {
-    throw { testCaseName, errorMessage };
+    await runHooks(suiteChain.flatMap((s) => s.hooks.beforeEach));
+    await runWithTimeout(test.func, test.timeout);
+  } catch (error) {
+    testError = error;
   }
+  try {
+    await runHooks(suiteChain.reverse().flatMap((s) => s.hooks.afterEach));
+  } catch (error) {
+    testError ??= error;
+  }
+
+  const duration = realTimers.dateNow() - startTime;
+  const status = testError == null ? "passed" : "failed";
+  recordResult(
+    results,
+    createResult(test.name, suite, status, duration, testError)
+  );
 }
 
-function expect(actual) {
-  const toExist = () => {
-    if (actual == null) {
-      throw `expected value to exist but got ${JSON.stringify(actual)}`;
+function failAllTests(suite, results, error) {
+  suite.children.forEach((child) => {
+    if (child.children != null) {
+      failAllTests(child, results, error);
+    } else {
+      recordResult(
+        results,
+        createResult(child.name, suite, "failed", 0, error)
+      );
+    }
+  });
+}
+
+function recordSuiteError(suite, results, hookName, error) {
+  const title = hookName == null ? "describe callback" : `${hookName} hook`;
+  results.failed += 1;
+  results.tests.push(createResult(title, suite, "failed", 0, error));
+  runOptions.reporter?.onSuiteError?.(suite, hookName, getErrorMessage(error));
+}
+
+async function runSuite(suite, results, isParentSkipped, isParentFocused) {
+  const isSuiteSkipped = isSkipped(suite, isParentSkipped, isParentFocused);
+  const isSuiteFocused = isParentFocused || suite.mode === "only";
+  const isRoot = suite === rootSuite;
+  const failedBefore = results.failed;
+
+  if (!isRoot) {
+    runOptions.reporter?.onSuiteStart?.(suite);
+  }
+
+  if (suite.collectionError != null) {
+    recordSuiteError(suite, results, null, suite.collectionError);
+  }
+
+  const shouldRunHooks = !isSuiteSkipped && countTests(suite) > 0;
+  let beforeAllError = null;
+  if (shouldRunHooks) {
+    try {
+      await runHooks(suite.hooks.beforeAll);
+    } catch (error) {
+      beforeAllError = error;
+    }
+  }
+
+  if (beforeAllError != null) {
+    failAllTests(suite, results, beforeAllError);
+  } else {
+    for (const child of suite.children) {
+      if (child.children != null) {
+        await runSuite(child, results, isSuiteSkipped, isSuiteFocused);
+      } else {
+        const isTestSkipped =
+          isSuiteSkipped ||
+          child.mode === "skip" ||
+          (hasFocusedTests && !isSuiteFocused && child.mode !== "only");
+        await runTest(child, suite, results, isTestSkipped);
+      }
+    }
+  }
+
+  if (shouldRunHooks) {
+    try {
+      await runHooks(suite.hooks.afterAll);
+    } catch (error) {
+      recordSuiteError(suite, results, "after all", error);
     }
+  }
+
+  if (!isRoot) {
+    runOptions.reporter?.onSuiteEnd?.(suite, results.failed - failedBefore);
+  }
+}
+
+async function runTests() {
+  const results = { passed: 0, failed: 0, skipped: 0, tests: [] };
+  await runSuite(rootSuite, results, false, false);
+  saveSnapshots(results);
+  results.snapshots = {
+    added: snapshotState.added,
+    updated: snapshotState.updated,
+    removed: snapshotState.removed,
+  };
+
+  runOptions.reporter?.onRunEnd?.(results);
+  if (results.failed > 0 && typeof process !== "undefined") {
+    process.exitCode = 1;
+  }
+  return results;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&apos;");
+}
+
+function summarize(fileResults) {
+  const tests = fileResults.flatMap((fileResult) => fileResult.tests);
+  const countStatus = (status) =>
+    tests.filter((test) => test.status === status).length;
+  return {
+    total: tests.length,
+    passed: countStatus("passed"),
+    failed: countStatus("failed"),
+    skipped: countStatus("skipped"),
   };
+}
+
+const reporters = {
+  tap(fileResults) {
+    const tests = fileResults.flatMap((fileResult) =>
+      fileResult.tests.map((test) => ({ ...test, file: fileResult.file }))
+    );
+    const lines = ["TAP version 13", `1..${tests.length}`];
+    tests.forEach((test, index) => {
+      const description = [test.file, test.fullName]
+        .filter(Boolean)
+        .join(" > ")
+        .replaceAll("#", "\\#");
+      if (test.status === "skipped") {
+        lines.push(`ok ${index + 1} - ${description} # SKIP`);
+      } else if (test.status === "passed") {
+        lines.push(`ok ${index + 1} - ${description}`);
+      } else {
+        lines.push(
+          `not ok ${index + 1} - ${description}`,
+          "  ---",
+          `  message: ${JSON.stringify(test.error)}`,
+          `  duration_ms: ${test.duration}`,
+          "  ..."
+        );
+      }
+    });
+    return lines.join("\n");
+  },
+
+  json(fileResults) {
+    const summary = summarize(fileResults);
+    return JSON.stringify(
+      { ...summary, success: summary.failed === 0, files: fileResults },
+      null,
+      2
+    );
+  },
+
+  junit(fileResults) {
+    const summary = summarize(fileResults);
+    const seconds = (ms) => (ms / 1000).toFixed(3);
+    const totalDuration = fileResults
+      .flatMap((fileResult) => fileResult.tests)
+      .reduce((sum, test) => sum + test.duration, 0);
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="testing-framework" tests="${
+        summary.total
+      }" failures="${summary.failed}" skipped="${
+        summary.skipped
+      }" time="${seconds(totalDuration)}">`,
+    ];
+    fileResults.forEach((fileResult) => {
+      const fileSummary = summarize([fileResult]);
+      const fileDuration = fileResult.tests.reduce(
+        (sum, test) => sum + test.duration,
+        0
+      );
+      lines.push(
+        `  <testsuite name="${escapeXml(fileResult.file ?? "tests")}" tests="${
+          fileSummary.total
+        }" failures="${fileSummary.failed}" skipped="${
+          fileSummary.skipped
+        }" time="${seconds(fileDuration)}">`
+      );
+      fileResult.tests.forEach((test) => {
+        const attributes = `classname="${escapeXml(
+          test.ancestorTitles.join(" ")
+        )}" name="${escapeXml(test.title)}" time="${seconds(test.duration)}"`;
+        if (test.status === "passed") {
+          lines.push(`    <testcase ${attributes}/>`);
+          return;
+        }
+        lines.push(`    <testcase ${attributes}>`);
+        lines.push(
+          test.status === "skipped"
+            ? "      <skipped/>"
+            : `      <failure message="${escapeXml(
+                test.error.split("\n")[0]
+              )}">${escapeXml(test.error)}</failure>`
+        );
+        lines.push("    </testcase>");
+      });
+      lines.push("  </testsuite>");
+    });
+    lines.push("</testsuites>");
+    return lines.join("\n");
+  },
+};
+
+// Copied from deep-equals/deep-equals.js so this file stays self-contained.
+// The only difference is the isStrict flag, keep the two in sync.
+function getTag(value) {
+  return Object.prototype.toString.call(value);
+}
+
+function getEnumerableKeys(value) {
+  return Reflect.ownKeys(value).filter((key) =>
+    Object.prototype.propertyIsEnumerable.call(value, key)
+  );
+}
+
+function arePrimitivesEqual(valueOne, valueTwo) {
+  if (Number.isNaN(valueOne) && Number.isNaN(valueTwo)) {
+    return true;
+  }
+  return valueOne === valueTwo;
+}
 
-  const toBe = (expected) => {
-    if (actual !== expected) {
-      throw `expected ${JSON.stringify(actual)} to be ${JSON.stringify(
+function areBytesEqual(bytesOne, bytesTwo) {
+  if (bytesOne.length !== bytesTwo.length) {
+    return false;
+  }
+  for (let i = 0; i < bytesOne.length; i++) {
+    if (bytesOne[i] !== bytesTwo[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function areMapsEqual(mapOne, mapTwo, isStrict, visited) {
+  if (mapOne.size !== mapTwo.size) {
+    return false;
+  }
+  const unmatchedEntries = [...mapTwo].filter(([key]) => !mapOne.has(key));
+  for (const [key, value] of mapOne) {
+    if (mapTwo.has(key)) {
+      if (!deepEquals(value, mapTwo.get(key), isStrict, visited)) {
+        return false;
+      }
+      continue;
+    }
+    const matchIndex = unmatchedEntries.findIndex(
+      ([otherKey, otherValue]) =>
+        deepEquals(key, otherKey, isStrict, visited) &&
+        deepEquals(value, otherValue, isStrict, visited)
+    );
+    if (matchIndex === -1) {
+      return false;
+    }
+    unmatchedEntries.splice(matchIndex, 1);
+  }
+  return true;
+}
+
+function areSetsEqual(setOne, setTwo, isStrict, visited) {
+  if (setOne.size !== setTwo.size) {
+    return false;
+  }
+  const unmatchedValues = [...setTwo].filter((value) => !setOne.has(value));
+  for (const value of setOne) {
+    if (setTwo.has(value)) {
+      continue;
+    }
+    const matchIndex = unmatchedValues.findIndex((otherValue) =>
+      deepEquals(value, otherValue, isStrict, visited)
+    );
+    if (matchIndex === -1) {
+      return false;
+    }
+    unmatchedValues.splice(matchIndex, 1);
+  }
+  return true;
+}
+
+function areObjectsEqual(valueOne, valueTwo, isStrict, visited) {
+  const getKeys = (value) =>
+    getEnumerableKeys(value).filter(
+      (key) => isStrict || value[key] !== undefined
+    );
+  const valueOneKeys = getKeys(valueOne);
+  const valueTwoKeys = getKeys(valueTwo);
+  if (valueOneKeys.length !== valueTwoKeys.length) {
+    return false;
+  }
+  for (const key of valueOneKeys) {
+    if (!Object.prototype.propertyIsEnumerable.call(valueTwo, key)) {
+      return false;
+    }
+    if (!deepEquals(valueOne[key], valueTwo[key], isStrict, visited)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function deepEquals(valueOne, valueTwo, isStrict = false, visited = new Map()) {
+  if (typeof valueOne !== typeof valueTwo) {
+    return false;
+  }
+  if (typeof valueOne !== "object") {
+    return arePrimitivesEqual(valueOne, valueTwo);
+  }
+  if (valueOne === null || valueTwo === null) {
+    return valueOne === valueTwo;
+  }
+  if (valueOne === valueTwo) {
+    return true;
+  }
+  if (
+    (isStrict &&
+      Object.getPrototypeOf(valueOne) !== Object.getPrototypeOf(valueTwo)) ||
+    getTag(valueOne) !== getTag(valueTwo)
+  ) {
+    return false;
+  }
+
+  const comparedValues = visited.get(valueOne) ?? new Set();
+  if (comparedValues.has(valueTwo)) {
+    return true;
+  }
+  comparedValues.add(valueTwo);
+  visited.set(valueOne, comparedValues);
+  const areEqual = areContentsEqual(valueOne, valueTwo, isStrict, visited);
+  comparedValues.delete(valueTwo);
+  return areEqual;
+}
+
+function areContentsEqual(valueOne, valueTwo, isStrict, visited) {
+  switch (getTag(valueOne)) {
+    case "[object Date]":
+      return arePrimitivesEqual(valueOne.getTime(), valueTwo.getTime());
+    case "[object RegExp]":
+      return (
+        valueOne.source === valueTwo.source && valueOne.flags === valueTwo.flags
+      );
+    case "[object Number]":
+    case "[object String]":
+    case "[object Boolean]":
+    case "[object BigInt]":
+    case "[object Symbol]":
+      return arePrimitivesEqual(valueOne.valueOf(), valueTwo.valueOf());
+    case "[object ArrayBuffer]":
+      return areBytesEqual(new Uint8Array(valueOne), new Uint8Array(valueTwo));
+    case "[object DataView]":
+      return areBytesEqual(
+        new Uint8Array(
+          valueOne.buffer,
+          valueOne.byteOffset,
+          valueOne.byteLength
+        ),
+        new Uint8Array(
+          valueTwo.buffer,
+          valueTwo.byteOffset,
+          valueTwo.byteLength
+        )
+      );
+    case "[object Map]":
+      return areMapsEqual(valueOne, valueTwo, isStrict, visited);
+    case "[object Set]":
+      return areSetsEqual(valueOne, valueTwo, isStrict, visited);
+  }
+
+  if (Array.isArray(valueOne) || ArrayBuffer.isView(valueOne)) {
+    if (valueOne.length !== valueTwo.length) {
+      return false;
+    }
+    for (let i = 0; i < valueOne.length; i++) {
+      if (isStrict && i in valueOne !== i in valueTwo) {
+        return false;
+      }
+      if (!deepEquals(valueOne[i], valueTwo[i], isStrict, visited)) {
+        return false;
+      }
+    }
+    return true;
+  }
+  return areObjectsEqual(valueOne, valueTwo, isStrict, visited);
+}
+
+function prettyFormat(value, indentation = "", seen = new Set()) {
+  if (typeof value === "string") return JSON.stringify(value);
+  if (typeof value === "bigint") return `${value}n`;
+  if (typeof value === "symbol") return value.toString();
+  if (typeof value === "function") {
+    return `[Function ${value.name || "anonymous"}]`;
+  }
+  if (value === null || typeof value !== "object") {
+    return Object.is(value, -0) ? "-0" : String(value);
+  }
+  if (seen.has(value)) return "[Circular]";
+  if (isReactElement(value)) {
+    return formatReactElement(value, indentation, seen);
+  }
+  if (isDomNode(value)) return formatDomNode(value, indentation);
+  if (value instanceof Date) {
+    return `Date ${
+      Number.isNaN(value.getTime()) ? "Invalid" : value.toISOString()
+    }`;
+  }
+  if (value instanceof RegExp) return String(value);
+  if (value instanceof Error) return `[${value.name}: ${value.message}]`;
+
+  const innerIndentation = `${indentation}  `;
+  const format = (innerValue) =>
+    prettyFormat(innerValue, innerIndentation, seen);
+  const formatEntries = (open, close, entries) =>
+    entries.length === 0
+      ? `${open}${close}`
+      : `${open}\n${entries
+          .map((entry) => `${innerIndentation}${entry},`)
+          .join("\n")}\n${indentation}${close}`;
+
+  seen.add(value);
+  let result;
+  if (Array.isArray(value)) {
+    const items = [];
+    for (let i = 0; i < value.length; i++) {
+      items.push(i in value ? format(value[i]) : "<empty>");
+    }
+    result = formatEntries("[", "]", items);
+  } else if (value instanceof Map) {
+    result = formatEntries(
+      "Map {",
+      "}",
+      [...value].map(([key, val]) => `${format(key)} => ${format(val)}`)
+    );
+  } else if (value instanceof Set) {
+    result = formatEntries("Set {", "}", [...value].map(format));
+  } else {
+    const constructorName = value.constructor?.name;
+    const prefix =
+      constructorName == null || constructorName === "Object"
+        ? ""
+        : `${constructorName} `;
+    result = formatEntries(
+      `${prefix}{`,
+      "}",
+      Object.keys(value)
+        .sort()
+        .map((key) => `${JSON.stringify(key)}: ${format(value[key])}`)
+    );
+  }
+  seen.delete(value);
+  return result;
+}
+
+const REACT_ELEMENT_TYPES = [
+  Symbol.for("react.element"),
+  Symbol.for("react.transitional.element"),
+];
+
+function isReactElement(value) {
+  return REACT_ELEMENT_TYPES.includes(value.$$typeof);
+}
+
+function getReactElementName(type) {
+  if (typeof type === "string") return type;
+  if (type === Symbol.for("react.fragment")) return "React.Fragment";
+  return type?.displayName || type?.name || "Unknown";
+}
+
+function formatReactElement(element, indentation, seen) {
+  const innerIndentation = `${indentation}  `;
+  const { children, ...props } = element.props;
+  const attributes = Object.keys(props)
+    .sort()
+    .map((key) =>
+      typeof props[key] === "string"
+        ? `${key}=${JSON.stringify(props[key])}`
+        : `${key}={${prettyFormat(props[key], innerIndentation, seen)}}`
+    );
+  if (element.key != null) {
+    attributes.unshift(`key=${JSON.stringify(element.key)}`);
+  }
+  const childLines = [children]
+    .flat(Infinity)
+    .filter((child) => child != null && typeof child !== "boolean")
+    .map((child) =>
+      typeof child === "string" || typeof child === "number"
+        ? String(child)
+        : prettyFormat(child, innerIndentation, seen)
+    );
+
+  const name = getReactElementName(element.type);
+  const openTag = `<${[name, ...attributes].join(" ")}`;
+  if (childLines.length === 0) return `${openTag} />`;
+  return `${openTag}>\n${childLines
+    .map((line) => `${innerIndentation}${line}`)
+    .join("\n")}\n${indentation}</${name}>`;
+}
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+const DOCUMENT_NODE = 9;
+const DOCUMENT_FRAGMENT_NODE = 11;
+
+function isDomNode(value) {
+  return (
+    typeof value.nodeType === "number" && typeof value.nodeName === "string"
+  );
+}
+
+function formatDomChildren(node, indentation) {
+  return [...node.childNodes]
+    .filter((child) => child.nodeType !== TEXT_NODE || child.data.trim() !== "")
+    .map((child) => `${indentation}${formatDomNode(child, indentation)}`);
+}
+
+function formatDomNode(node, indentation) {
+  const innerIndentation = `${indentation}  `;
+  if (node.nodeType === TEXT_NODE) return node.data.trim();
+  if (node.nodeType === COMMENT_NODE) return `<!--${node.data}-->`;
+  if (node.nodeType === DOCUMENT_NODE) {
+    return formatDomNode(node.documentElement, indentation);
+  }
+  if (node.nodeType === DOCUMENT_FRAGMENT_NODE) {
+    const childLines = formatDomChildren(node, innerIndentation);
+    return childLines.length === 0
+      ? "<DocumentFragment />"
+      : `<DocumentFragment>\n${childLines.join(
+          "\n"
+        )}\n${indentation}</DocumentFragment>`;
+  }
+  if (node.nodeType !== ELEMENT_NODE) return `[${node.nodeName}]`;
+
+  const name = node.localName ?? node.nodeName.toLowerCase();
+  const attributes = [...node.attributes]
+    .map((attribute) => `${attribute.name}=${JSON.stringify(attribute.value)}`)
+    .sort();
+  const openTag = `<${[name, ...attributes].join(" ")}`;
+  const childLines = formatDomChildren(node, innerIndentation);
+  if (childLines.length === 0) return `${openTag} />`;
+  return `${openTag}>\n${childLines.join("\n")}\n${indentation}</${name}>`;
+}
+
+function stringify(value) {
+  try {
+    return JSON.stringify(value) ?? prettyFormat(value);
+  } catch (error) {
+    return prettyFormat(value);
+  }
+}
+
+function printDiff(expected, actual) {
+  return printLineDiff(
+    prettyFormat(expected).split("\n"),
+    prettyFormat(actual).split("\n")
+  );
+}
+
+function printLineDiff(expectedLines, actualLines) {
+  const commonLengths = Array.from({ length: expectedLines.length + 1 }, () =>
+    new Array(actualLines.length + 1).fill(0)
+  );
+  for (let i = expectedLines.length - 1; i >= 0; i--) {
+    for (let j = actualLines.length - 1; j >= 0; j--) {
+      commonLengths[i][j] =
+        expectedLines[i] === actualLines[j]
+          ? commonLengths[i + 1][j + 1] + 1
+          : Math.max(commonLengths[i + 1][j], commonLengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < expectedLines.length || j < actualLines.length) {
+    if (
+      i < expectedLines.length &&
+      j < actualLines.length &&
+      expectedLines[i] === actualLines[j]
+    ) {
+      lines.push(`  ${expectedLines[i++]}`);
+      j++;
+    } else if (
+      j === actualLines.length ||
+      (i < expectedLines.length &&
+        commonLengths[i + 1][j] >= commonLengths[i][j + 1])
+    ) {
+      lines.push(`- ${expectedLines[i++]}`);
+    } else {
+      lines.push(`+ ${actualLines[j++]}`);
+    }
+  }
+  return ["- expected", "+ actual", "", ...lines].join("\n");
+}
+
+function withDiff(message, expected, actual, isNot) {
+  const isComparable =
+    !isNot &&
+    typeof expected === "object" &&
+    expected !== null &&
+    typeof actual === "object" &&
+    actual !== null;
+  return isComparable
+    ? `${message}\n\n${printDiff(expected, actual)}`
+    : message;
+}
+
+function getThrownMessage(thrown) {
+  return thrown instanceof Error ? thrown.message : String(thrown);
+}
+
+function getThrowExpectation(expected) {
+  if (typeof expected === "string") {
+    return {
+      description: ` ${stringify(expected)}`,
+      matches: (thrown, thrownMessage) => thrownMessage.includes(expected),
+    };
+  }
+  if (expected instanceof RegExp) {
+    return {
+      description: ` ${expected}`,
+      matches: (thrown, thrownMessage) => expected.test(thrownMessage),
+    };
+  }
+  if (typeof expected === "function") {
+    return {
+      description: ` ${expected.name}`,
+      matches: (thrown) => thrown instanceof expected,
+    };
+  }
+  if (expected != null) {
+    const expectedMessage = getThrownMessage(expected);
+    return {
+      description: ` ${stringify(expectedMessage)}`,
+      matches: (thrown, thrownMessage) => thrownMessage === expectedMessage,
+    };
+  }
+  return { description: "", matches: () => true };
+}
+
+const snapshotState = {
+  filePath: null,
+  snapshots: null,
+  checkedKeys: new Set(),
+  currentTestName: null,
+  counters: new Map(),
+  inlineUpdates: [],
+  isDirty: false,
+  added: 0,
+  updated: 0,
+  removed: 0,
+};
+
+function getSnapshotFilePath(testPath) {
+  const path = require("path");
+  return path.join(
+    path.dirname(testPath),
+    "__snapshots__",
+    `${path.basename(testPath)}.snap`
+  );
+}
+
+function escapeTemplateLiteral(value) {
+  return value
+    .replace(/\\/g, "\\\\")
+    .replace(/`/g, "\\`")
+    .replace(/\$\{/g, "\\${");
+}
+
+function loadSnapshots() {
+  if (snapshotState.snapshots != null) return snapshotState.snapshots;
+  snapshotState.snapshots = {};
+  if (runOptions.testPath == null) return snapshotState.snapshots;
+
+  const fs = require("fs");
+  snapshotState.filePath = getSnapshotFilePath(runOptions.testPath);
+  if (fs.existsSync(snapshotState.filePath)) {
+    const source = fs.readFileSync(snapshotState.filePath, "utf8");
+    const savedSnapshots = {};
+    new Function("exports", source)(savedSnapshots);
+    Object.entries(savedSnapshots).forEach(([key, snapshot]) => {
+      snapshotState.snapshots[key] = snapshot.slice(1, -1);
+    });
+  }
+  return snapshotState.snapshots;
+}
+
+function getSnapshotKey(testName, hint) {
+  const name = hint == null ? testName : `${testName}: ${hint}`;
+  const count = (snapshotState.counters.get(name) ?? 0) + 1;
+  snapshotState.counters.set(name, count);
+  return `${name} ${count}`;
+}
+
+function serializeSnapshot(value) {
+  return prettyFormat(value);
+}
+
+function normalizeInlineSnapshot(snapshot) {
+  const lines = snapshot.split("\n");
+  if (lines.length > 1 && lines[0].trim() === "") lines.shift();
+  if (lines.length > 1 && lines.at(-1).trim() === "") lines.pop();
+  const indentation = Math.min(
+    ...lines
+      .filter((line) => line.trim() !== "")
+      .map((line) => line.length - line.trimStart().length)
+  );
+  return lines
+    .map((line) =>
+      Number.isFinite(indentation) ? line.slice(indentation) : line
+    )
+    .join("\n");
+}
+
+function getCallLocation(stack) {
+  const frame = stack
+    .split("\n")
+    .find((line) => line.includes(`${runOptions.testPath}:`));
+  const match = frame?.match(/:(\d+):(\d+)\)?$/);
+  return match == null
+    ? null
+    : { line: Number(match[1]), column: Number(match[2]) };
+}
+
+function findClosingParen(source, openIndex) {
+  let depth = 0;
+  let quote = null;
+  for (let i = openIndex; i < source.length; i++) {
+    const char = source[i];
+    if (quote != null) {
+      if (char === "\\") i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'" || char === "`") {
+      quote = char;
+    } else if (char === "(") {
+      depth++;
+    } else if (char === ")" && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function writeInlineSnapshots() {
+  const fs = require("fs");
+  let source = fs.readFileSync(runOptions.testPath, "utf8");
+  const lineOffsets = [0];
+  source.split("\n").forEach((line) => {
+    lineOffsets.push(lineOffsets.at(-1) + line.length + 1);
+  });
+
+  const updatesByOffset = new Map();
+  snapshotState.inlineUpdates.forEach(({ line, column, snapshot }) => {
+    const lineStart = lineOffsets[line - 1];
+    const callIndex = source.indexOf(
+      "toMatchInlineSnapshot(",
+      lineStart + column - 1 - "toMatchInlineSnapshot".length
+    );
+    if (callIndex !== -1 && !updatesByOffset.has(callIndex)) {
+      const indentation = source.slice(lineStart).match(/^\s*/)[0];
+      updatesByOffset.set(callIndex, { snapshot, indentation });
+    }
+  });
+
+  [...updatesByOffset]
+    .sort(([offsetOne], [offsetTwo]) => offsetTwo - offsetOne)
+    .forEach(([callIndex, { snapshot, indentation }]) => {
+      const openIndex = callIndex + "toMatchInlineSnapshot".length;
+      const closeIndex = findClosingParen(source, openIndex);
+      if (closeIndex === -1) return;
+      const lines = escapeTemplateLiteral(snapshot)
+        .split("\n")
+        .map((line) => (line === "" ? "" : `${indentation}  ${line}`));
+      source = `${source.slice(0, openIndex + 1)}\`\n${lines.join(
+        "\n"
+      )}\n${indentation}\`${source.slice(closeIndex)}`;
+    });
+  fs.writeFileSync(runOptions.testPath, source);
+}
+
+function saveSnapshots(results) {
+  const snapshots = loadSnapshots();
+  if (runOptions.updateSnapshots && results.skipped === 0) {
+    Object.keys(snapshots)
+      .filter((key) => !snapshotState.checkedKeys.has(key))
+      .forEach((key) => {
+        delete snapshots[key];
+        snapshotState.removed += 1;
+        snapshotState.isDirty = true;
+      });
+  }
+  if (runOptions.testPath == null) return;
+
+  const fs = require("fs");
+  if (snapshotState.isDirty) {
+    const keys = Object.keys(snapshots).sort();
+    if (keys.length === 0) {
+      fs.rmSync(snapshotState.filePath, { force: true });
+    } else {
+      const entries = keys.map(
+        (key) =>
+          `exports[\`${escapeTemplateLiteral(
+            key
+          )}\`] = \`\n${escapeTemplateLiteral(snapshots[key])}\n\`;`
+      );
+      fs.mkdirSync(require("path").dirname(snapshotState.filePath), {
+        recursive: true,
+      });
+      fs.writeFileSync(
+        snapshotState.filePath,
+        `// Snapshot file written by testing-framework.js\n\n${entries.join(
+          "\n\n"
+        )}\n`
+      );
+    }
+  }
+  if (snapshotState.inlineUpdates.length > 0) {
+    writeInlineSnapshots();
+  }
+}
+
+function assertMockFunction(value) {
+  if (value?.isMockFunction !== true) {
+    throw `expected a mock function but got ${stringify(value)}`;
+  }
+}
+
+const matchers = {
+  toExist(actual) {
+    return {
+      pass: actual != null,
+      message: `expected value ${
+        this.isNot ? "not " : ""
+      }to exist but got ${stringify(actual)}`,
+    };
+  },
+
+  toBe(actual, expected) {
+    const message = `expected ${stringify(actual)} ${
+      this.isNot ? "not " : ""
+    }to be ${stringify(expected)}`;
+    return {
+      pass: Object.is(actual, expected),
+      message:
+        !Object.is(actual, expected) && deepEquals(actual, expected, true)
+          ? `${message} (the values are equal but not the same reference)`
+          : withDiff(message, expected, actual, this.isNot),
+    };
+  },
+
+  toBeType(actual, type) {
+    const typeOfActual = typeof actual;
+    return {
+      pass: typeOfActual === type,
+      message: this.isNot
+        ? `expected ${stringify(actual)} not to be of type ${type}`
+        : `expected ${stringify(
+            actual
+          )} to be of type ${type} but got ${typeOfActual}`,
+    };
+  },
+
+  toEqual(actual, expected) {
+    return {
+      pass: deepEquals(actual, expected),
+      message: withDiff(
+        `expected ${stringify(actual)} ${
+          this.isNot ? "not " : ""
+        }to equal ${stringify(expected)}`,
+        expected,
+        actual,
+        this.isNot
+      ),
+    };
+  },
+
+  toStrictEqual(actual, expected) {
+    return {
+      pass: deepEquals(actual, expected, true),
+      message: withDiff(
+        `expected ${stringify(actual)} ${
+          this.isNot ? "not " : ""
+        }to strictly equal ${stringify(expected)}`,
+        expected,
+        actual,
+        this.isNot
+      ),
+    };
+  },
+
+  toThrow(actual, expected) {
+    let didThrow = this.promise === "rejects";
+    let thrown = actual;
+    if (!didThrow) {
+      if (typeof actual !== "function") {
+        throw `expected a function but got ${stringify(actual)}`;
+      }
+      try {
+        actual();
+      } catch (error) {
+        didThrow = true;
+        thrown = error;
+      }
+    }
+
+    const thrownMessage = getThrownMessage(thrown);
+    const { description, matches } = getThrowExpectation(expected);
+    return {
+      pass: didThrow && matches(thrown, thrownMessage),
+      message: `expected function ${
+        this.isNot ? "not " : ""
+      }to throw${description} but ${
+        didThrow ? `it threw ${stringify(thrownMessage)}` : "it did not throw"
+      }`,
+    };
+  },
+
+  toContain(actual, item) {
+    if (
+      typeof actual !== "string" &&
+      typeof actual?.[Symbol.iterator] !== "function"
+    ) {
+      throw `expected a string or an iterable but got ${stringify(actual)}`;
+    }
+    return {
+      pass:
+        typeof actual === "string"
+          ? actual.includes(item)
+          : Array.from(actual).includes(item),
+      message: `expected ${stringify(actual)} ${
+        this.isNot ? "not " : ""
+      }to contain ${stringify(item)}`,
+    };
+  },
+
+  toMatch(actual, pattern) {
+    if (typeof actual !== "string") {
+      throw `expected a string but got ${stringify(actual)}`;
+    }
+    return {
+      pass:
+        typeof pattern === "string"
+          ? actual.includes(pattern)
+          : pattern.test(actual),
+      message: `expected ${stringify(actual)} ${
+        this.isNot ? "not " : ""
+      }to match ${typeof pattern === "string" ? stringify(pattern) : pattern}`,
+    };
+  },
+
+  toHaveLength(actual, length) {
+    return {
+      pass: actual?.length === length,
+      message: `expected ${stringify(actual)} ${
+        this.isNot ? "not " : ""
+      }to have length ${length} but got ${stringify(actual?.length)}`,
+    };
+  },
+
+  toBeGreaterThan(actual, expected) {
+    return {
+      pass: actual > expected,
+      message: `expected ${stringify(actual)} ${
+        this.isNot ? "not " : ""
+      }to be greater than ${stringify(expected)}`,
+    };
+  },
+
+  toBeLessThan(actual, expected) {
+    return {
+      pass: actual < expected,
+      message: `expected ${stringify(actual)} ${
+        this.isNot ? "not " : ""
+      }to be less than ${stringify(expected)}`,
+    };
+  },
+
+  toHaveBeenCalled(actual) {
+    assertMockFunction(actual);
+    const callCount = actual.mock.calls.length;
+    return {
+      pass: callCount > 0,
+      message: `expected mock function ${
+        this.isNot ? "not " : ""
+      }to have been called but it was called ${callCount} times`,
+    };
+  },
+
+  toHaveBeenCalledTimes(actual, expectedCount) {
+    assertMockFunction(actual);
+    const callCount = actual.mock.calls.length;
+    return {
+      pass: callCount === expectedCount,
+      message: `expected mock function ${
+        this.isNot ? "not " : ""
+      }to have been called ${expectedCount} times but it was called ${callCount} times`,
+    };
+  },
+
+  toHaveBeenCalledWith(actual, ...expectedArgs) {
+    assertMockFunction(actual);
+    const { calls } = actual.mock;
+    return {
+      pass: calls.some((args) => deepEquals(args, expectedArgs)),
+      message: `expected mock function ${
+        this.isNot ? "not " : ""
+      }to have been called with ${stringify(
+        expectedArgs
+      )} but it was called with ${
+        calls.length === 0 ? "nothing" : calls.map(stringify).join(", ")
+      }`,
+    };
+  },
+
+  toMatchSnapshot(actual, hint) {
+    if (this.isNot) {
+      throw new Error("toMatchSnapshot can't be used with .not");
+    }
+    const snapshots = loadSnapshots();
+    const key = getSnapshotKey(snapshotState.currentTestName, hint);
+    const received = serializeSnapshot(actual);
+    snapshotState.checkedKeys.add(key);
+
+    const isMissing = !(key in snapshots);
+    if (isMissing && runOptions.ci && !runOptions.updateSnapshots) {
+      return {
+        pass: false,
+        message: `snapshot ${key} is missing and is not written in CI, run with --update-snapshots to write it, received:\n${received}`,
+      };
+    }
+    if (
+      isMissing ||
+      (runOptions.updateSnapshots && snapshots[key] !== received)
+    ) {
+      snapshots[key] = received;
+      snapshotState.isDirty = true;
+      if (runOptions.testPath != null) {
+        snapshotState[isMissing ? "added" : "updated"] += 1;
+      }
+      return { pass: true, message: "" };
+    }
+    return {
+      pass: snapshots[key] === received,
+      message: () =>
+        `expected value to match snapshot ${key}\n\n${printLineDiff(
+          snapshots[key].split("\n"),
+          received.split("\n")
+        )}`,
+    };
+  },
+
+  toMatchInlineSnapshot(actual, inlineSnapshot) {
+    if (this.isNot) {
+      throw new Error("toMatchInlineSnapshot can't be used with .not");
+    }
+    const received = serializeSnapshot(actual);
+    const expected =
+      inlineSnapshot === undefined
+        ? undefined
+        : normalizeInlineSnapshot(inlineSnapshot);
+    if (
+      expected === undefined &&
+      runOptions.ci &&
+      !runOptions.updateSnapshots
+    ) {
+      return {
+        pass: false,
+        message: `inline snapshot is missing and is not written in CI, run with --update-snapshots to write it, received:\n${received}`,
+      };
+    }
+    if (
+      expected === undefined ||
+      (runOptions.updateSnapshots && expected !== received)
+    ) {
+      const location =
+        runOptions.testPath == null ? null : getCallLocation(new Error().stack);
+      if (location == null) {
+        return {
+          pass: false,
+          message: `can't write inline snapshot outside of a test file run by cli.js, received:\n${received}`,
+        };
+      }
+      snapshotState.inlineUpdates.push({ ...location, snapshot: received });
+      snapshotState[expected === undefined ? "added" : "updated"] += 1;
+      return { pass: true, message: "" };
+    }
+    return {
+      pass: expected === received,
+      message: () =>
+        `expected value to match inline snapshot\n\n${printLineDiff(
+          expected.split("\n"),
+          received.split("\n")
+        )}`,
+    };
+  },
+
+  toBeCloseTo(actual, expected, numDigits = 2) {
+    const difference = Math.abs(expected - actual);
+    return {
+      pass: actual === expected || difference < Math.pow(10, -numDigits) / 2,
+      message: `expected ${stringify(actual)} ${
+        this.isNot ? "not " : ""
+      }to be close to ${stringify(
         expected
-      )}`;
+      )} (${numDigits} digits) but the difference is ${difference}`,
+    };
+  },
+};
+
+function runMatcher(matcher, actual, args, isNot, promise) {
+  const context = { isNot, promise, equals: deepEquals, stringify, printDiff };
+  const checkResult = ({ pass, message }) => {
+    if (Boolean(pass) === isNot) {
+      throw typeof message === "function" ? message() : message;
     }
   };
+  const result = matcher.call(context, actual, ...args);
+  if (typeof result?.then === "function") {
+    return result.then(checkResult);
+  }
+  checkResult(result);
+}
 
-  const toBeType = (type) => {
-    const typeOfActual = typeof actual;
-    if (typeOfActual !== type) {
-      throw `expected ${JSON.stringify(
-        actual
-      )} to be of type ${type} but got ${typeOfActual}`;
+function createAssertions(actual, isNot, promise) {
+  const assertions = {};
+  for (const [name, matcher] of Object.entries(matchers)) {
+    assertions[name] = (...args) =>
+      runMatcher(matcher, actual, args, isNot, promise);
+  }
+  return assertions;
+}
+
+function createPromiseAssertions(actual, promise, isNot) {
+  const assertions = {};
+  for (const [name, matcher] of Object.entries(matchers)) {
+    assertions[name] = async (...args) => {
+      if (typeof actual?.then !== "function") {
+        throw `expected a promise but got ${stringify(actual)}`;
+      }
+      let settledValue;
+      let didReject = false;
+      try {
+        settledValue = await actual;
+      } catch (error) {
+        settledValue = error;
+        didReject = true;
+      }
+      if (promise === "resolves" && didReject) {
+        throw `expected promise to resolve but it rejected with ${stringify(
+          settledValue
+        )}`;
+      }
+      if (promise === "rejects" && !didReject) {
+        throw `expected promise to reject but it resolved with ${stringify(
+          settledValue
+        )}`;
+      }
+      return runMatcher(matcher, settledValue, args, isNot, promise);
+    };
+  }
+  return assertions;
+}
+
+function expect(actual) {
+  const resolves = createPromiseAssertions(actual, "resolves", false);
+  resolves.not = createPromiseAssertions(actual, "resolves", true);
+  const rejects = createPromiseAssertions(actual, "rejects", false);
+  rejects.not = createPromiseAssertions(actual, "rejects", true);
+
+  return {
+    ...createAssertions(actual, false, null),
+    not: createAssertions(actual, true, null),
+    resolves,
+    rejects,
+  };
+}
+
+expect.extend = (customMatchers) => {
+  Object.assign(matchers, customMatchers);
+};
+
+const spies = new Set();
+
+function fn(implementation) {
+  let defaultImplementation = implementation;
+  const onceImplementations = [];
+
+  function mockFunction(...args) {
+    mockFunction.mock.calls.push(args);
+    mockFunction.mock.contexts.push(this);
+    const currentImplementation =
+      onceImplementations.length > 0
+        ? onceImplementations.shift()
+        : defaultImplementation;
+    try {
+      const value = currentImplementation?.apply(this, args);
+      mockFunction.mock.results.push({ type: "return", value });
+      return value;
+    } catch (error) {
+      mockFunction.mock.results.push({ type: "throw", value: error });
+      throw error;
     }
+  }
+
+  mockFunction.isMockFunction = true;
+  mockFunction.mock = { calls: [], contexts: [], results: [] };
+
+  mockFunction.mockImplementation = (newImplementation) => {
+    defaultImplementation = newImplementation;
+    return mockFunction;
+  };
+  mockFunction.mockImplementationOnce = (newImplementation) => {
+    onceImplementations.push(newImplementation);
+    return mockFunction;
+  };
+  mockFunction.mockReturnValue = (value) =>
+    mockFunction.mockImplementation(() => value);
+  mockFunction.mockReturnValueOnce = (value) =>
+    mockFunction.mockImplementationOnce(() => value);
+  mockFunction.mockResolvedValue = (value) =>
+    mockFunction.mockImplementation(() => Promise.resolve(value));
+  mockFunction.mockRejectedValue = (reason) =>
+    mockFunction.mockImplementation(() => Promise.reject(reason));
+
+  mockFunction.mockClear = () => {
+    mockFunction.mock = { calls: [], contexts: [], results: [] };
+    return mockFunction;
+  };
+  mockFunction.mockReset = () => {
+    defaultImplementation = undefined;
+    onceImplementations.length = 0;
+    return mockFunction.mockClear();
   };
 
-  return { toExist, toBe, toBeType };
+  return mockFunction;
 }
 
-/* Sample Usage #1 */
-describe("Passing Test Suite", () => {
-  it("Passing Test Case #1", () => {
-    expect("foo").toExist();
-    expect(1 + 1).toBe(2);
+function spyOn(obj, methodName) {
+  const original = obj[methodName];
+  if (typeof original !== "function") {
+    throw new TypeError(
+      `cannot spy on ${methodName} because it is not a function`
+    );
+  }
+  const wasOwnProperty = Object.hasOwn(obj, methodName);
+
+  const spy = fn(function (...args) {
+    return original.apply(this, args);
   });
+  spy.mockRestore = () => {
+    if (wasOwnProperty) {
+      obj[methodName] = original;
+    } else {
+      delete obj[methodName];
+    }
+    spies.delete(spy);
+  };
 
-  it("Passing Test Case #2", () => {
-    expect({}).toBeType("object");
+  obj[methodName] = spy;
+  spies.add(spy);
+  return spy;
+}
+
+function restoreAllMocks() {
+  spies.forEach((spy) => spy.mockRestore());
+}
+
+let fakeClock = null;
+
+function addFakeTimer(callback, delay, args, isInterval) {
+  const id = fakeClock.nextId;
+  fakeClock.nextId += 1;
+  const normalizedDelay = Math.max(0, Number(delay) || 0);
+  fakeClock.timers.set(id, {
+    id,
+    callback,
+    args,
+    time: fakeClock.now + normalizedDelay,
+    interval: isInterval ? Math.max(1, normalizedDelay) : null,
   });
-});
+  return id;
+}
 
-/* Sample Usage #2 */
-describe("Failing Test Suite", () => {
-  it("Passing Test Case", () => {
-    expect(0).toBe(0);
+function removeFakeTimer(id) {
+  fakeClock.timers.delete(id);
+}
+
+function useFakeTimers({ now = realTimers.dateNow() } = {}) {
+  useRealTimers();
+  fakeClock = { now, nextId: 1, timers: new Map(), microtasks: [] };
+
+  globalThis.setTimeout = (callback, delay, ...args) =>
+    addFakeTimer(callback, delay, args, false);
+  globalThis.setInterval = (callback, delay, ...args) =>
+    addFakeTimer(callback, delay, args, true);
+  globalThis.clearTimeout = removeFakeTimer;
+  globalThis.clearInterval = removeFakeTimer;
+  globalThis.requestAnimationFrame = (callback) =>
+    addFakeTimer(() => callback(fakeClock.now), FAKE_FRAME_DURATION, [], false);
+  globalThis.cancelAnimationFrame = removeFakeTimer;
+  globalThis.queueMicrotask = (callback) => {
+    fakeClock.microtasks.push(callback);
+  };
+  Date.now = () => fakeClock.now;
+}
+
+function useRealTimers() {
+  if (fakeClock == null) return;
+  fakeClock = null;
+  globalThis.setTimeout = realTimers.setTimeout;
+  globalThis.clearTimeout = realTimers.clearTimeout;
+  globalThis.setInterval = realTimers.setInterval;
+  globalThis.clearInterval = realTimers.clearInterval;
+  globalThis.requestAnimationFrame = realTimers.requestAnimationFrame;
+  globalThis.cancelAnimationFrame = realTimers.cancelAnimationFrame;
+  globalThis.queueMicrotask = realTimers.queueMicrotask;
+  Date.now = realTimers.dateNow;
+}
+
+function assertFakeTimers() {
+  if (fakeClock == null) {
+    throw new Error("fake timers are not installed, call useFakeTimers first");
+  }
+}
+
+function runFakeMicrotasks() {
+  while (fakeClock.microtasks.length > 0) {
+    fakeClock.microtasks.shift()();
+  }
+}
+
+function getNextFakeTimer(maxTime) {
+  let nextTimer = null;
+  for (const timer of fakeClock.timers.values()) {
+    if (
+      timer.time <= maxTime &&
+      (nextTimer == null || timer.time < nextTimer.time)
+    ) {
+      nextTimer = timer;
+    }
+  }
+  return nextTimer;
+}
+
+function runFakeTimer(timer) {
+  fakeClock.now = Math.max(fakeClock.now, timer.time);
+  if (timer.interval == null) {
+    fakeClock.timers.delete(timer.id);
+  } else {
+    timer.time += timer.interval;
+  }
+  timer.callback(...timer.args);
+  runFakeMicrotasks();
+}
+
+function advanceTimersByTime(ms) {
+  assertFakeTimers();
+  const targetTime = fakeClock.now + ms;
+  runFakeMicrotasks();
+  for (
+    let timer = getNextFakeTimer(targetTime);
+    timer != null;
+    timer = getNextFakeTimer(targetTime)
+  ) {
+    runFakeTimer(timer);
+  }
+  fakeClock.now = targetTime;
+}
+
+function runAllTimers() {
+  assertFakeTimers();
+  runFakeMicrotasks();
+  for (let runCount = 0; fakeClock.timers.size > 0; runCount++) {
+    if (runCount === MAX_FAKE_TIMER_RUNS) {
+      throw new Error(
+        `aborting after running ${MAX_FAKE_TIMER_RUNS} timers, assuming an infinite loop`
+      );
+    }
+    runFakeTimer(getNextFakeTimer(Infinity));
+  }
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    describe,
+    it,
+    beforeAll,
+    beforeEach,
+    afterEach,
+    afterAll,
+    expect,
+    fn,
+    spyOn,
+    restoreAllMocks,
+    useFakeTimers,
+    useRealTimers,
+    advanceTimersByTime,
+    runAllTimers,
+    configure,
+    runTests,
+    reporters,
+  };
+}
+
+if (typeof require === "undefined" || require.main === module) {
+  /* Sample Usage #1 */
+  describe("Passing Test Suite", () => {
+    it("Passing Test Case #1", () => {
+      expect("foo").toExist();
+      expect(1 + 1).toBe(2);
+    });
+
+    it("Passing Test Case #2", () => {
+      expect({}).toBeType("object");
+    });
   });
 
-  it("Failing Test Case", () => {
-    expect(true).toBe(true);
-    expect(true).toBe(false);
+  /* Sample Usage #2 */
+  describe("Failing Test Suite", () => {
+    it("Passing Test Case", () => {
+      expect(0).toBe(0);
+    });
+
+    it("Failing Test Case", () => {
+      expect(true).toBe(true);
+      expect(true).toBe(false);
+    });
+
+    it("Test Case After Failure", () => {
+      expect("foo").toBe("bar");
+    });
   });
 
-  it("Unreachable Test Case", () => {
-    expect("foo").toBe("bar");
+  /* Sample Usage #3 */
+  describe("Async Test Suite", () => {
+    let items;
+
+    beforeAll(() => {
+      items = [];
+    });
+
+    beforeEach(async () => {
+      items.push(await Promise.resolve("item"));
+    });
+
+    afterEach(() => {
+      items.pop();
+    });
+
+    it("Awaits Returned Promises", async () => {
+      const value = await new Promise((res) => setTimeout(() => res(42), 100));
+      expect(value).toBe(42);
+      expect(items.length).toBe(1);
+    });
+
+    it("Times Out Slow Test Cases", () => new Promise(() => {}), 200);
+
+    it.skip("Skipped Test Case", () => {
+      expect(true).toBe(false);
+    });
+
+    describe("Nested Test Suite", () => {
+      beforeEach(() => {
+        items.push("nested item");
+      });
+
+      it("Runs Outer Hooks First", () => {
+        expect(items.join()).toBe("item,nested item");
+      });
+    });
   });
-});
+
+  /* Sample Usage #4 */
+  expect.extend({
+    toBeEven(actual) {
+      return {
+        pass: actual % 2 === 0,
+        message: `expected ${actual} ${this.isNot ? "not " : ""}to be even`,
+      };
+    },
+  });
+
+  describe("Matchers Test Suite", () => {
+    it("Compares Values Structurally", () => {
+      expect({ a: [1, 2], b: undefined }).toEqual({ a: [1, 2] });
+      expect({ a: [1, 2] }).toStrictEqual({ a: [1, 2] });
+      expect({ a: 1 }).not.toBe({ a: 1 });
+      expect([1, 2, 3]).toContain(2);
+      expect("frontend").toMatch(/end$/);
+      expect("abc").toHaveLength(3);
+      expect(0.1 + 0.2).toBeCloseTo(0.3);
+      expect(2).toBeGreaterThan(1);
+      expect(4).toBeEven();
+    });
+
+    it("Compares Maps, Sets, Dates And Cycles", () => {
+      const cyclic = { name: "a" };
+      cyclic.self = cyclic;
+      const otherCyclic = { name: "b" };
+      otherCyclic.self = otherCyclic;
+      expect(new Map([[1, "a"]])).not.toEqual(new Map([[1, "b"]]));
+      expect(new Set([1, 2])).not.toEqual(new Set([1, 3]));
+      expect(new Date(0)).not.toEqual(new Date(1));
+      expect(/a/g).not.toEqual(/a/i);
+      expect(new Uint8Array([1, 2])).not.toEqual(new Uint8Array([1, 3]));
+      expect(new Map()).not.toEqual({});
+      expect(cyclic).not.toEqual(otherCyclic);
+      expect(cyclic).toEqual({ name: "a", self: cyclic });
+    });
+
+    it("Checks Thrown Errors", () => {
+      expect(() => {
+        throw new TypeError("bad input");
+      }).toThrow(TypeError);
+      expect(() => {}).not.toThrow();
+    });
+
+    it("Checks Promises", async () => {
+      await expect(Promise.resolve(1)).resolves.toBe(1);
+      await expect(Promise.reject(new Error("boom"))).rejects.toThrow("boom");
+    });
+
+    it("Prints A Diff", () => {
+      expect({ name: "todo", tags: ["a", "b"] }).toEqual({
+        name: "todo",
+        tags: ["a", "c"],
+      });
+    });
+  });
+
+  /* Sample Usage #5 */
+  describe("Mocks And Fake Timers Test Suite", () => {
+    beforeEach(() => useFakeTimers({ now: 0 }));
+
+    afterEach(() => {
+      useRealTimers();
+      restoreAllMocks();
+    });
+
+    it("Records Calls", () => {
+      const callback = fn((x) => x * 2).mockReturnValueOnce(0);
+      const obj = { callback };
+      expect(obj.callback(1)).toBe(0);
+      expect(obj.callback(2)).toBe(4);
+      expect(callback).toHaveBeenCalledTimes(2);
+      expect(callback).toHaveBeenCalledWith(2);
+      expect(callback.mock.contexts[0]).toBe(obj);
+    });
+
+    it("Spies On Methods", () => {
+      const spy = spyOn(Math, "random").mockReturnValue(0.5);
+      expect(Math.random()).toBe(0.5);
+      spy.mockRestore();
+      expect(Math.random()).not.toBe(0.5);
+    });
+
+    it("Controls Time", () => {
+      const callback = fn();
+      setTimeout(callback, 1000, "timeout");
+      setInterval(callback, 300, "interval");
+      advanceTimersByTime(999);
+      expect(callback).toHaveBeenCalledTimes(3);
+      expect(callback).not.toHaveBeenCalledWith("timeout");
+      advanceTimersByTime(1);
+      expect(callback).toHaveBeenCalledWith("timeout");
+      expect(Date.now()).toBe(1000);
+    });
+  });
+
+  /* Sample Usage #6 */
+  describe("Snapshots Test Suite", () => {
+    it("Matches Snapshots", () => {
+      const todos = new Map([[1, { title: "Write tests", done: false }]]);
+      expect(todos).toMatchSnapshot();
+      expect(todos).toMatchInlineSnapshot(`
+        Map {
+          1 => {
+            "done": false,
+            "title": "Write tests",
+          },
+        }
+      `);
+    });
+  });
+}
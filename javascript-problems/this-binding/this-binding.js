@@ -1,22 +1,69 @@
 Function.prototype.myCall = function (thisContext, ...args) {
+  if (thisContext == null) {
+    const callback = this;
+    return callback(...args);
+  }
+
+  if (
+    thisContext !== Object(thisContext) ||
+    !Object.isExtensible(thisContext)
+  ) {
+    return Reflect.apply(this, thisContext, args);
+  }
+
   const symbol = Symbol();
   Object.defineProperty(thisContext, symbol, {
     value: this,
     enumerable: false,
     configurable: true,
   });
-  const result = thisContext[symbol](...args);
-  delete thisContext[symbol];
-  return result;
+  try {
+    return thisContext[symbol](...args);
+  } finally {
+    delete thisContext[symbol];
+  }
 };
 
-Function.prototype.myApply = function (thisContext, args = []) {
-  return this.myCall(thisContext, ...args);
+Function.prototype.myApply = function (thisContext, args) {
+  return this.myCall(thisContext, ...Array.from(args ?? []));
 };
 
 Function.prototype.myBind = function (thisContext, ...args) {
-  return (...newArgs) => this.myApply(thisContext, [...args, ...newArgs]);
-  // return (...newArgs) => this.myCall(thisContext, ...args, ...newArgs);
+  const target = this;
+  if (typeof target !== "function") {
+    throw new TypeError("Bind must be called on a function");
+  }
+
+  function bound(...newArgs) {
+    if (new.target !== undefined) {
+      return Reflect.construct(
+        target,
+        [...args, ...newArgs],
+        new.target === bound ? target : new.target
+      );
+    }
+    return target.myApply(thisContext, [...args, ...newArgs]);
+  }
+
+  const targetLength = Object.hasOwn(target, "length") ? target.length : 0;
+  Object.defineProperty(bound, "length", {
+    value:
+      typeof targetLength === "number"
+        ? Math.max(0, Math.trunc(targetLength) - args.length)
+        : 0,
+  });
+  Object.defineProperty(bound, "name", {
+    value: `bound ${typeof target.name === "string" ? target.name : ""}`,
+  });
+  Object.defineProperty(bound, "prototype", {
+    value: undefined,
+    writable: false,
+  });
+  Object.defineProperty(bound, Symbol.hasInstance, {
+    value: (instance) => instance instanceof target,
+  });
+  Object.setPrototypeOf(bound, Object.getPrototypeOf(target));
+  return bound;
 };
 
 const obj = { num: 0 };
@@ -30,3 +77,34 @@ logNums.myApply(obj, [1, 2]);
 
 const boundFunction = logNums.myBind(obj, 1);
 boundFunction(2);
+
+function sloppyThis() {
+  return this;
+}
+function strictThis() {
+  "use strict";
+  return this;
+}
+console.log(sloppyThis.myCall(null) === globalThis); // true
+console.log(strictThis.myCall(undefined)); // undefined
+console.log(typeof sloppyThis.myCall("abc")); // "object" (boxed String)
+console.log(strictThis.myCall("abc")); // "abc"
+
+function Point(x, y) {
+  this.x = x;
+  this.y = y;
+}
+const BoundPoint = Point.myBind(null, 1);
+const point = new BoundPoint(2);
+console.log(point); // Point { x: 1, y: 2 }
+console.log(point instanceof Point, point instanceof BoundPoint); // true true
+console.log(BoundPoint.name, BoundPoint.length); // "bound Point" 1
+console.log(BoundPoint.prototype); // undefined
+
+const frozen = Object.freeze({ num: 1 });
+const frozenNullPrototype = Object.freeze(
+  Object.assign(Object.create(null), { num: 2 })
+);
+logNums.myCall(frozen, 1, 2); // 1 1 2
+logNums.myBind(frozenNullPrototype, 1)(2); // 2 1 2
+console.log(Object.getOwnPropertySymbols(Object.prototype).length); // 0
@@ -1,24 +1,105 @@
-function throttle(callback, delay) {
-  let timerID;
+function throttle(callback, delay, { leading = true, trailing = true } = {}) {
+  let timerID = null;
   let lastCalledTime = 0;
+  let pendingArgs = null;
+  let pendingThis = null;
+  let result;
+
+  function invoke(time) {
+    const args = pendingArgs;
+    const thisArg = pendingThis;
+    pendingArgs = null;
+    pendingThis = null;
+    lastCalledTime = time;
+    result = callback.apply(thisArg, args);
+    return result;
+  }
+
+  function handleTimeout() {
+    timerID = null;
+    if (pendingArgs != null) {
+      invoke(Date.now());
+    }
+  }
+
   function throttled(...args) {
+    pendingArgs = args;
+    pendingThis = this;
+    if (timerID != null) return result;
+
     const currentTime = Date.now();
     const timeSinceLastCall = currentTime - lastCalledTime;
     const delayRemaining = delay - timeSinceLastCall;
+    if (delayRemaining <= 0 && leading) {
+      return invoke(currentTime);
+    }
+    if (!trailing) {
+      pendingArgs = null;
+      pendingThis = null;
+      return result;
+    }
     if (delayRemaining <= 0) {
       lastCalledTime = currentTime;
-      callback.call(this, ...args);
+      timerID = setTimeout(handleTimeout, delay);
     } else {
-      clearTimeout(timerID);
-      timerID = setTimeout(() => {
-        lastCalledTime = Date.now();
-        callback.call(this, ...args);
-      }, delayRemaining);
+      timerID = setTimeout(handleTimeout, delayRemaining);
     }
+    return result;
   }
 
   throttled.cancel = function () {
     clearTimeout(timerID);
+    timerID = null;
+    lastCalledTime = 0;
+    pendingArgs = null;
+    pendingThis = null;
+  };
+
+  throttled.flush = function () {
+    if (timerID == null) return result;
+    clearTimeout(timerID);
+    timerID = null;
+    return pendingArgs == null ? result : invoke(Date.now());
+  };
+  return throttled;
+}
+
+function rafThrottle(callback) {
+  let frameID = null;
+  let pendingArgs = null;
+  let pendingThis = null;
+  let result;
+
+  function invoke() {
+    const args = pendingArgs;
+    const thisArg = pendingThis;
+    frameID = null;
+    pendingArgs = null;
+    pendingThis = null;
+    result = callback.apply(thisArg, args);
+    return result;
+  }
+
+  function throttled(...args) {
+    pendingArgs = args;
+    pendingThis = this;
+    if (frameID == null) {
+      frameID = requestAnimationFrame(invoke);
+    }
+    return result;
+  }
+
+  throttled.cancel = function () {
+    cancelAnimationFrame(frameID);
+    frameID = null;
+    pendingArgs = null;
+    pendingThis = null;
+  };
+
+  throttled.flush = function () {
+    if (frameID == null) return result;
+    cancelAnimationFrame(frameID);
+    return invoke();
   };
   return throttled;
 }
@@ -38,3 +119,10 @@ const interval = setInterval(() => {
     console.log("Complete!");
   }
 }, 200);
+
+// Trailing-only throttle: the first call waits for the end of the interval
+// const throttledTrailing = throttle(showProgress, 1000, { leading: false });
+
+// Frame-synced throttle for scroll handlers (browser only)
+// const throttledScroll = rafThrottle(() => console.log(window.scrollY));
+// window.addEventListener("scroll", throttledScroll);